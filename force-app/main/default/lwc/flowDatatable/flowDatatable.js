@@ -1,40 +1,191 @@
 import { LightningElement, api, wire } from 'lwc';
-import { FlowAttributeChangeEvent } from 'lightning/flowSupport';
+import { FlowAttributeChangeEvent, FlowNavigationNextEvent, FlowNavigationFinishEvent } from 'lightning/flowSupport';
 import { NavigationMixin } from 'lightning/navigation';
+import { getPicklistValuesByRecordType } from 'lightning/uiObjectInfoApi';
 import getColumnMetadata from '@salesforce/apex/FlowDatatableService.getColumnMetadata';
+import saveRecords from '@salesforce/apex/FlowDatatableService.saveRecords';
+import searchLookupRecords from '@salesforce/apex/FlowDatatableService.searchLookupRecords';
+import queryRecords from '@salesforce/apex/FlowDatatableService.queryRecords';
+import TIME_ZONE from '@salesforce/i18n/timeZone';
+import LOCALE from '@salesforce/i18n/locale';
+import CURRENCY from '@salesforce/i18n/currency';
+import { buildXlsx, toExcelSerial } from './xlsxWriter';
 
 const SELECTION_VIEW_ONLY = 'View Only';
 const SELECTION_SINGLE = 'Single Select';
 const SELECTION_MULTI = 'Multi Select';
 
+const SAVE_MODE_FLOW_OUTPUT = 'Flow Output';
+const SAVE_MODE_DATABASE = 'Save to Database';
+
+const RENDER_ALL_ROWS = 'All Rows';
+const RENDER_VIRTUAL_SCROLL = 'Virtual Scroll';
+const RENDER_PAGINATION = 'Pagination';
+
+const RECORD_SOURCE_FLOW = 'Flow Records';
+const RECORD_SOURCE_QUERY = 'Query';
+
+// Extra rows rendered above and below the viewport in virtual scroll mode
+const VIRTUAL_BUFFER_ROWS = 10;
+const DEFAULT_PAGE_SIZE = 25;
+
+// Field types whose describe length limits the number of characters
+const TEXT_TYPES = new Set(['STRING', 'TEXTAREA', 'EMAIL', 'PHONE', 'URL', 'ENCRYPTEDSTRING', 'COMBOBOX']);
+const DECIMAL_TYPES = new Set(['DOUBLE', 'CURRENCY', 'PERCENT']);
+
+// Inline edit value checks; Salesforce stores Time values as "HH:mm:ss.SSSZ"
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().\-/]+((x|ext\.?)\s*\d+)?$/i;
+const TIME_PATTERN = /^(\d{2}):(\d{2})(?::(\d{2}))?(?:\.(\d{1,3}))?Z?$/;
+
+// Sorting
+const PICKLIST_SORT_LABEL = 'Label';
+const PICKLIST_SORT_ORDER = 'Picklist Order';
+const NULLS_FIRST = 'First';
+const NULLS_LAST = 'Last';
+
+// Footer aggregates: rows they cover, the functions, and how many get Flow outputs
+const AGGREGATE_SCOPE_ALL = 'All Rows';
+const AGGREGATE_SCOPE_FILTERED = 'Filtered Rows';
+const AGGREGATE_SCOPE_SELECTED = 'Selected Rows';
+const AGGREGATE_LABELS = { SUM: 'Sum', AVG: 'Average', MIN: 'Min', MAX: 'Max', COUNT: 'Count' };
+const AGGREGATE_OUTPUT_COUNT = 5;
+
+// Lookup picker: debounce before searching, and results per object
+const LOOKUP_SEARCH_DELAY = 300;
+const LOOKUP_MAX_RESULTS = 10;
+
+// Query mode: SOQL OFFSET can't skip more than 2,000 rows, and the service
+// returns at most 200 rows a page
+const QUERY_MAX_OFFSET = 2000;
+const QUERY_MAX_PAGE_SIZE = 200;
+const QUERY_SEARCH_DELAY = 300;
+const QUERY_MAX_MERGE_FIELDS = 5; // whereValue1-5
+// A Flow merge field in the WHERE clause, quoted or not: {!recordId}, '{!Account.Name}'
+const MERGE_FIELD_PATTERN = /'?\{!\s*([^}\s]+)\s*\}'?/g;
+
+// Rows added in the table get a temporary key in place of an Id
+const NEW_ROW_KEY_PREFIX = 'new-row-';
+
+// Export
+const EXPORT_CSV = 'csv';
+const EXPORT_XLSX = 'xlsx';
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+// Columns whose CSV values could be typed-in formulas (see _escapeCsv)
+const CSV_TEXT_TYPES = new Set([...TEXT_TYPES, 'PICKLIST', 'MULTIPICKLIST']);
+// Numbers, amounts and phone numbers such as "-5", "-$1,200.00" or "+1 (415) 555-0100"
+const CSV_NUMBER_PATTERN = /^[+-]?[\p{Sc}\d\s().,%-]*$/u;
+
+// Undo/redo
+const HISTORY_LIMIT = 100;
+
+// Row actions
+const ROW_ACTIONS_BUTTONS = 'Buttons';
+const ROW_ACTIONS_MENU = 'Menu';
+
+// Conditional formatting
+const RULE_TARGET_ROW = 'row';
+const NUMBER_TYPES = new Set(['INTEGER', 'DOUBLE', 'CURRENCY', 'PERCENT']);
+const CSS_COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]+|(rgb|hsl)a?\([\d\s.,%]+\))$/i;
+
+// Objects a lookup can point to that have no Lightning record page (queues)
+const NON_NAVIGABLE_OBJECTS = new Set(['Group']);
+
+// Column layout
+const MIN_COLUMN_WIDTH = 40; // px; the narrowest a column can be dragged to
+const RESIZE_KEY_STEP = 10; // px per arrow key press on a resize handle
+const COLUMN_ALIGNMENTS = new Set(['left', 'center', 'right']);
+const COLUMN_WRAP = 'wrap';
+const COLUMN_CLIP = 'clip';
+
 export default class FlowDatatable extends NavigationMixin(LightningElement) {
     // ─────────────────────────────────────────────────────────────────
     // Flow inputs
     // ─────────────────────────────────────────────────────────────────
-    @api records = [];
     @api objectApiName = '';
+    @api recordSource = RECORD_SOURCE_FLOW;
+    @api whereClause = ''; // Query mode: SOQL condition, may use {!mergeFields}
+    @api whereValue1; // values of the WHERE clause's merge fields, in order (mapped by the editor)
+    @api whereValue2;
+    @api whereValue3;
+    @api whereValue4;
+    @api whereValue5;
     @api fieldNames = 'Name';
     @api columnLabels = '';
+    @api columnWidths = ''; // comma-separated px, in fieldNames order; blank = sized to content
+    @api columnMinWidths = ''; // comma-separated px, in fieldNames order
+    @api columnAlignments = ''; // left, center or right per column; blank = left
+    @api columnWrapping = ''; // wrap or clip per column; blank = as the data type shows it
+    @api frozenColumns = 0; // leading data columns that stay in view when scrolling sideways
     @api editableFields = '';
     @api selectionMode = SELECTION_VIEW_ONLY;
     @api enableInlineEdit = false;
+    @api saveMode = SAVE_MODE_FLOW_OUTPUT;
     @api visibleRows = 10;
     @api showSearch = false;
+    @api searchableFields = ''; // comma-separated; blank searches every column
     @api headerText = '';
     @api showRowNumbers = false;
     @api headerRowHeight = '32';
     @api rowHeight = '32';
+    @api renderMode = RENDER_ALL_ROWS;
+    @api pageSize = DEFAULT_PAGE_SIZE;
+    @api preSelectedRecords = [];
+    @api preSelectedIds = [];
+    @api requireSelection = false;
+    @api minSelections;
+    @api maxSelections;
+    @api validationErrorMessage = '';
+    @api defaultFilters = '';
+    @api defaultSort = '';
+    @api picklistSortOrder = PICKLIST_SORT_LABEL;
+    @api sortNulls = NULLS_LAST;
+    @api columnAggregates = '';
+    @api groupByField = '';
+    @api showGroupSubtotals = false;
+    @api aggregateScope = AGGREGATE_SCOPE_ALL;
+    @api showExport = false;
+    @api allowAddRows = false;
+    @api allowDeleteRows = false;
+    @api newRowDefaults = '';
+    @api exportFileName = '';
+    @api rowActions = ''; // JSON: [{ name, label, iconName, navigateNext }]
+    @api rowActionDisplay = ROW_ACTIONS_BUTTONS;
+    @api formattingRules = ''; // JSON: [{ field, operator, value, value2, target, textColor, backgroundColor, bold, iconName, label }]
+    @api availableActions = []; // set by the flow runtime: NEXT, FINISH, ...
     @api headerFontSize; // deprecated, kept for backward compat
     @api rowFontSize;    // deprecated, kept for backward compat
 
-    // Flow outputs
+    // Flow outputs. selectedRecords and editedRecords are also inputs: on Back/Next
+    // Flow hands back the values from the last visit so they can be restored.
     @api selectedRecords = [];
     @api editedRecords = [];
     @api selectedCount = 0;
+    @api addedRecords = [];
+    @api deletedRecords = [];
+    @api deletedRecordIds = [];
+    @api actionName;
+    @api actionRecord;
+    @api aggregate1;
+    @api aggregate2;
+    @api aggregate3;
+    @api aggregate4;
+    @api aggregate5;
+
+    // Records are kept in a private shallow copy so rows saved to the database
+    // (Save to Database mode) can show their new values without mutating the Flow input.
+    @api
+    get records() {
+        return this._records;
+    }
+    set records(value) {
+        this._records = Array.isArray(value) ? [...value] : value;
+    }
 
     // ─────────────────────────────────────────────────────────────────
     // Internal state
     // ─────────────────────────────────────────────────────────────────
+    _records = [];
     _selectedIds = new Set();
     _editedRecordMap = new Map();
     _searchTerm = '';
@@ -43,9 +194,89 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
     _metadataError = null;
     _editingCell = null; // { recordId, fieldName }
     _tabNavigating = false;
-    _sortField = null;
-    _sortDirection = 'asc'; // 'asc' or 'desc'
+    _sortFields = []; // [{ fieldName, direction: 'asc'|'desc', nulls: 'First'|'Last'|null }], by priority
     _appliedVisibleRows = null;
+    _measuredRowHeight = null;
+    _virtualStartIndex = 0;
+    _pageIndex = 0;
+    _validationError = null;
+    _saveErrors = new Map(); // recordId -> { rowMessages: [], fieldMessages: { fieldName: message } }
+    _cellErrors = new Map(); // recordId -> { fieldName: message } for edits failing describe limits
+    _isSaving = false;
+    _saveMessage = null;
+
+    // Rows added and deleted in the table. Added rows are keyed by temporary
+    // keys (see _getRecordKey) wherever existing rows are keyed by Id.
+    _addedRecords = []; // base values (defaults) of each added row; edits live in _editedRecordMap
+    _newRowKeys = new WeakMap(); // added record -> temporary key
+    _nextNewRowNumber = 1;
+    _deletedIds = new Set();
+
+    // Undo/redo history of { edits, added, deleted } snapshots. All three are
+    // replaced rather than mutated, so a snapshot only holds references.
+    _undoStack = [];
+    _redoStack = [];
+
+    // Row action buttons configured in rowActions
+    _rowActions = [];
+
+    // Conditional formatting rules configured in formattingRules
+    _formattingRules = [];
+
+    // Row grouping (the field can be changed at runtime from the header menu)
+    _groupByField = null;
+    _collapsedGroups = new Set(); // group keys
+
+    // Header filters
+    _columnFilters = new Map(); // lowercased field name -> filter (see _normalizeFilter)
+    _openFilterField = null;
+
+    // Mass update dialog: { fieldName, scope: 'selected'|'filtered', value, lookupName, error }
+    _bulkEdit = null;
+
+    // Lookup picker state (one cell, or the mass update dialog, at a time)
+    _lookupSearchTerm = '';
+    _lookupResults = [];
+    _lookupLoading = false;
+    _lookupError = null;
+    _lookupSearchTimeout;
+    _lookupNameCache = new Map(); // record Id -> name, for lookups picked in this session
+
+    // Record type picklist values, loaded from the UI API when a row's picklist is first edited
+    _recordTypePicklists = new Map(); // RecordTypeId -> { lowercased field name: Set of values }
+    _pendingRecordTypeId;
+
+    // Hover popover with a clipped long text value: { text, style }
+    _textPopover = null;
+
+    // Column layout. Once any column has a width the table switches to fixed
+    // layout, and the columns without one keep the width they were measured at.
+    _resizedWidths = new Map(); // lowercased field name -> px, dragged at runtime
+    _measuredWidths = null; // header cell width key -> px
+    _columnResize = null; // { key, startX, startWidth, minWidth } while a handle is dragged
+    _frozenOffsets = []; // left offset (px) of each frozen header cell, leading columns first
+
+    // Filter/sort results cache. Mutated in place (never reassigned) so that
+    // filling it from inside a getter doesn't register as a render side effect.
+    _rowCache = {};
+
+    // Last aggregate values sent to Flow; mutated in place like _rowCache
+    _publishedAggregates = {};
+
+    // Intl formatters by options (see _getFormatter); mutated in place like _rowCache
+    _formatters = new Map();
+
+    // Query mode: _records holds the current page, loaded from queryRecords.
+    // Every record loaded so far is kept by Id so selections, edits and deletions
+    // on other pages still reach Flow; mutated in place like _rowCache.
+    _queryRecordCache = new Map();
+    _queryTotal = 0;
+    _isQueryTotalCapped = false;
+    _isQueryLoading = false;
+    _queryLoaded = false;
+    _queryError = null;
+    _queryRequestNumber = 0;
+    _querySearchTimeout;
 
     // ─────────────────────────────────────────────────────────────────
     // Wire: Fetch column metadata from Apex
@@ -57,6 +288,7 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
     wiredMetadata({ error, data }) {
         if (data) {
             this._columnMetadata = data;
+            this._measuredWidths = null;
             this._metadataLoaded = true;
             this._metadataError = null;
         } else if (error) {
@@ -66,13 +298,34 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
     }
 
     connectedCallback() {
-        this.initializeSelections();
+        this._columnFilters = this._parseFilters(this.defaultFilters);
+        this._sortFields = this._parseSort(this.defaultSort);
+        this._groupByField = this.groupByField ? this.groupByField.trim() : null;
+        this._rowActions = this._parseRowActions(this.rowActions);
+        this._formattingRules = this._parseFormattingRules(this.formattingRules);
+        if (this.isQueryMode) {
+            // Restored state can point at records on any page, so it waits for them to load
+            this._initializeQueryMode();
+        } else {
+            this.restoreRowChanges();
+            this.initializeSelections();
+            this.restoreEdits();
+        }
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this._querySearchTimeout);
     }
 
     renderedCallback() {
         if (this._metadataLoaded && this.hasRecords && this.visibleRows !== this._appliedVisibleRows) {
             this._adjustTableHeight();
         }
+        if (this._hasColumnWidths && !this._measuredWidths) {
+            this._measuredWidths = this._measureColumnWidths();
+        }
+        this._updateFrozenOffsets();
+        this._publishAggregates();
     }
 
     // ─────────────────────────────────────────────────────────────────
@@ -99,8 +352,34 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
         return this.enableInlineEdit;
     }
 
+    get isSaveToDatabase() {
+        return this.canInlineEdit && this.saveMode === SAVE_MODE_DATABASE;
+    }
+
+    get isQueryMode() {
+        return this.recordSource === RECORD_SOURCE_QUERY;
+    }
+
+    get isVirtualScroll() {
+        return !this.isQueryMode && this.renderMode === RENDER_VIRTUAL_SCROLL;
+    }
+
+    // Query mode always pages, on the server
+    get isPaginated() {
+        return this.isQueryMode || this.renderMode === RENDER_PAGINATION;
+    }
+
+    get isLoading() {
+        return !this._metadataLoaded || (this.isQueryMode && !this._queryLoaded);
+    }
+
     get hasRecords() {
-        return this.safeRecords && this.safeRecords.length > 0;
+        return this._tableRecords.length > 0;
+    }
+
+    // The table shows even without rows when rows can be added
+    get showTable() {
+        return this.hasRecords || this.canAddRows;
     }
 
     get safeRecords() {
@@ -114,8 +393,9 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
         return this.headerText && this.headerText.trim().length > 0;
     }
 
+    // In query mode a search can leave no rows, and the box must stay to clear it
     get showSearchBar() {
-        return this.showSearch && this.hasRecords;
+        return this.showSearch && (this.hasRecords || (this.isQueryMode && !!this._searchTerm));
     }
 
     get tableContainerStyle() {
@@ -131,7 +411,8 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
         if (!container) return;
 
         const thead = container.querySelector('thead');
-        const firstRow = container.querySelector('tbody tr');
+        // Skip virtual scroll spacer rows — only data rows carry a record id
+        const firstRow = container.querySelector('tbody tr[data-record-id]');
         if (!thead || !firstRow) return;
 
         const headerHeight = thead.offsetHeight;
@@ -140,11 +421,26 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
 
         container.style.maxHeight = maxHeight + 'px';
         this._appliedVisibleRows = this.visibleRows;
+        this._measuredRowHeight = rowHeight;
     }
 
     get isAllSelected() {
         if (!this.isMultiSelect || !this.hasRecords) return false;
-        return this.safeRecords.every(r => r && r.Id && this._selectedIds.has(r.Id));
+        return this._tableRecords.every(r => this._selectedIds.has(this._getRecordKey(r)));
+    }
+
+    get selectAllChecked() {
+        return this.isAllSelected || this.isMaxSelectionReached;
+    }
+
+    get _maxSelectionLimit() {
+        const max = parseInt(this.maxSelections, 10);
+        return max > 0 ? max : null;
+    }
+
+    get isMaxSelectionReached() {
+        const max = this._maxSelectionLimit;
+        return this.isMultiSelect && max != null && this._selectedIds.size >= max;
     }
 
     get searchPlaceholder() {
@@ -152,14 +448,350 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
     }
 
     get resultCountText() {
-        const filtered = this.processedRows.length;
-        const total = this.safeRecords.length;
-        if (this._searchTerm && filtered !== total) {
+        if (this.isQueryMode) {
+            return this._searchTerm ? `${this._queryTotalText} matching records` : '';
+        }
+        const filtered = this._filteredSortedRecords.length;
+        const total = this._tableRecords.length;
+        if ((this._searchTerm || this.filterPills.length > 0) && filtered !== total) {
             return `Showing ${filtered} of ${total}`;
         }
         return '';
     }
 
+    // ─────────────────────────────────────────────────────────────────
+    // Virtual scroll & pagination
+    // ─────────────────────────────────────────────────────────────────
+
+    get _effectiveRowHeight() {
+        return this._measuredRowHeight || parseInt(this.rowHeight, 10) || 32;
+    }
+
+    get _effectivePageSize() {
+        const size = parseInt(this.pageSize, 10);
+        return size > 0 ? size : DEFAULT_PAGE_SIZE;
+    }
+
+    get pageCount() {
+        if (this.isQueryMode) {
+            const size = this._queryPageSize;
+            const reachablePages = Math.floor(QUERY_MAX_OFFSET / size) + 1;
+            return Math.max(1, Math.min(Math.ceil(this._queryTotal / size), reachablePages));
+        }
+        return Math.max(1, Math.ceil(this._displayItems.length / this._effectivePageSize));
+    }
+
+    get currentPage() {
+        return Math.min(this._pageIndex, this.pageCount - 1) + 1;
+    }
+
+    get pageInfoText() {
+        const text = `Page ${this.currentPage} of ${this.pageCount}`;
+        const reachableRows = this.pageCount * this._queryPageSize;
+        if (this.isQueryMode && (this._isQueryTotalCapped || this._queryTotal > reachableRows)) {
+            return `${text} (first ${reachableRows} of ${this._queryTotalText} records)`;
+        }
+        return text;
+    }
+
+    get isFirstPage() {
+        return this.currentPage <= 1;
+    }
+
+    get isLastPage() {
+        return this.currentPage >= this.pageCount;
+    }
+
+    get showPaginationBar() {
+        return this.isPaginated && this.hasRecords && this._metadataLoaded;
+    }
+
+    /**
+     * Index range [start, end) of the display items (rows, plus group headers
+     * when grouped) to render. All Rows renders everything; Pagination renders
+     * the current page; Virtual Scroll renders the viewport plus a buffer on either side.
+     */
+    get _renderWindow() {
+        const total = this._displayItems.length;
+
+        // A query mode page is exactly the rows loaded
+        if (this.isQueryMode) {
+            return { start: 0, end: total };
+        }
+
+        if (this.isPaginated) {
+            const size = this._effectivePageSize;
+            const start = (this.currentPage - 1) * size;
+            return { start, end: Math.min(start + size, total) };
+        }
+
+        if (this.isVirtualScroll) {
+            const visible = parseInt(this.visibleRows, 10) || 10;
+            const windowSize = visible + (VIRTUAL_BUFFER_ROWS * 2);
+            const start = Math.max(0, Math.min(this._virtualStartIndex, total - windowSize));
+            return { start, end: Math.min(start + windowSize, total) };
+        }
+
+        return { start: 0, end: total };
+    }
+
+    get hasTopSpacer() {
+        return this.isVirtualScroll && this._renderWindow.start > 0;
+    }
+
+    get hasBottomSpacer() {
+        return this.isVirtualScroll && this._renderWindow.end < this._displayItems.length;
+    }
+
+    get topSpacerStyle() {
+        return `height:${this._renderWindow.start * this._effectiveRowHeight}px`;
+    }
+
+    get bottomSpacerStyle() {
+        const remaining = this._displayItems.length - this._renderWindow.end;
+        return `height:${remaining * this._effectiveRowHeight}px`;
+    }
+
+    get totalColumnCount() {
+        let count = this.processedColumns.length + this._leadingColumnCount;
+        if (this.showRowActions) count++;
+        return count;
+    }
+
+    // Row number and selection columns before the data columns
+    get _leadingColumnCount() {
+        return (this.showRowNumbers ? 1 : 0) + (this.isSelectable ? 1 : 0);
+    }
+
+    handleTableScroll(event) {
+        // The long text popover is placed against the cell, so it can't follow a scroll
+        this._textPopover = null;
+        if (!this.isVirtualScroll) return;
+
+        const scrollTop = event.target.scrollTop;
+        const firstVisible = Math.floor(scrollTop / this._effectiveRowHeight);
+        const start = Math.max(0, firstVisible - VIRTUAL_BUFFER_ROWS);
+
+        // Only re-render when the window actually moves
+        if (start !== this._virtualStartIndex) {
+            this._virtualStartIndex = start;
+        }
+    }
+
+    handleFirstPage() {
+        this._goToPage(0);
+    }
+
+    handlePreviousPage() {
+        this._goToPage(Math.max(0, this.currentPage - 2));
+    }
+
+    handleNextPage() {
+        this._goToPage(Math.min(this.pageCount - 1, this.currentPage));
+    }
+
+    handleLastPage() {
+        this._goToPage(this.pageCount - 1);
+    }
+
+    _goToPage(pageIndex) {
+        this._pageIndex = pageIndex;
+        if (this.isQueryMode) {
+            this._loadQueryPage();
+        }
+    }
+
+    /**
+     * Makes sure the row at the given index of the filtered/sorted records is
+     * rendered — expands its group, flips to its page, or scrolls it into the
+     * virtual window.
+     */
+    _revealRowIndex(recordIndex) {
+        const index = this._getItemIndex(recordIndex);
+        if (index === -1 || this.isQueryMode) return;
+
+        if (this.isPaginated) {
+            this._pageIndex = Math.floor(index / this._effectivePageSize);
+            return;
+        }
+
+        if (this.isVirtualScroll) {
+            const { start, end } = this._renderWindow;
+            const visible = parseInt(this.visibleRows, 10) || 10;
+            if (index >= start + VIRTUAL_BUFFER_ROWS && index < end - VIRTUAL_BUFFER_ROWS) {
+                return;
+            }
+            const container = this.template.querySelector('.table-container');
+            const firstVisible = Math.max(0, index - Math.floor(visible / 2));
+            this._virtualStartIndex = Math.max(0, firstVisible - VIRTUAL_BUFFER_ROWS);
+            if (container) {
+                container.scrollTop = firstVisible * this._effectiveRowHeight;
+            }
+        }
+    }
+
+    _resetScrollPosition() {
+        this._pageIndex = 0;
+        this._virtualStartIndex = 0;
+        const container = this.template.querySelector('.table-container');
+        if (container) {
+            container.scrollTop = 0;
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Query mode
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Every record the table knows: the records input, or in query mode each
+     * record loaded so far, whatever page it's on.
+     */
+    get _knownRecords() {
+        return this.isQueryMode ? Array.from(this._queryRecordCache.values()) : this.safeRecords;
+    }
+
+    /**
+     * Selected rows. In query mode they're in the order they were selected,
+     * since most of them may be on other pages.
+     */
+    _getSelectedRecords() {
+        if (!this.isQueryMode) {
+            return this._tableRecords.filter(r => this._selectedIds.has(this._getRecordKey(r)));
+        }
+        return Array.from(this._selectedIds)
+            .map(key => this._findRecord(key) || this._queryRecordCache.get(key))
+            .filter(r => r);
+    }
+
+    get _queryPageSize() {
+        return Math.min(this._effectivePageSize, QUERY_MAX_PAGE_SIZE);
+    }
+
+    get _queryTotalText() {
+        return this._isQueryTotalCapped ? `${this._queryTotal}+` : String(this._queryTotal);
+    }
+
+    /**
+     * The WHERE clause with its merge fields swapped for the bind variables
+     * :value1, :value2, ... (in order of first use), so Flow values are bound
+     * rather than pasted into the SOQL. whereValue1-5 carry the values; the
+     * property editor maps them to the merge fields' resources. Values are
+     * sent as JSON so the server can bind them as the compared field's type.
+     */
+    get _queryFilter() {
+        const names = [];
+        const whereClause = (this.whereClause || '').replace(MERGE_FIELD_PATTERN, (match, name) => {
+            if (!names.includes(name)) {
+                names.push(name);
+            }
+            return `:value${names.indexOf(name) + 1}`;
+        });
+        const whereValues = names.map((name, index) => {
+            const value = this[`whereValue${index + 1}`];
+            return JSON.stringify(value === undefined ? null : value);
+        });
+        return { whereClause, whereValues };
+    }
+
+    _getQueryRequest() {
+        const { whereClause, whereValues } = this._queryFilter;
+        if (whereValues.length > QUERY_MAX_MERGE_FIELDS) {
+            throw new Error(
+                `The WHERE clause uses ${whereValues.length} merge fields; at most ${QUERY_MAX_MERGE_FIELDS} are supported`
+            );
+        }
+        const pageSize = this._queryPageSize;
+        return {
+            objectApiName: this.objectApiName,
+            fieldNames: this.fieldNames,
+            whereClause,
+            whereValues,
+            searchTerms: this._searchTerms.map(term => ({
+                text: term.text,
+                fieldName: term.col ? term.col.fieldApiName : null
+            })),
+            searchFields: Array.from(this._searchableFieldSet),
+            sortFields: this._effectiveSortFields.map(sort => ({
+                fieldName: sort.fieldName,
+                direction: sort.direction,
+                nulls: sort.nulls || this.sortNulls
+            })),
+            pageSize,
+            offset: this._pageIndex * pageSize
+        };
+    }
+
+    /**
+     * Loads the records that restored and pre-selected state refers to (they
+     * can be on any page), restores that state, then loads the first page.
+     */
+    async _initializeQueryMode() {
+        const ids = new Set([
+            ...this._collectIds(this.selectedRecords),
+            ...this._collectIds(this.preSelectedRecords),
+            ...(Array.isArray(this.preSelectedIds) ? this.preSelectedIds.filter(id => id) : []),
+            ...this._collectIds(this.editedRecords),
+            ...this._collectIds(this.deletedRecords)
+        ]);
+
+        if (ids.size > 0) {
+            try {
+                const result = await queryRecords({
+                    request: { ...this._getQueryRequest(), recordIds: Array.from(ids) }
+                });
+                this._cacheQueryRecords(result.records);
+            } catch (error) {
+                this._queryError = this.normalizeError(error);
+            }
+        }
+
+        this.restoreRowChanges();
+        this.initializeSelections();
+        this.restoreEdits();
+        await this._loadQueryPage();
+    }
+
+    async _loadQueryPage() {
+        clearTimeout(this._querySearchTimeout);
+        const requestNumber = ++this._queryRequestNumber;
+        this._isQueryLoading = true;
+
+        try {
+            const result = await queryRecords({ request: this._getQueryRequest() });
+            // Ignore responses overtaken by a newer page, sort or search
+            if (requestNumber !== this._queryRequestNumber) return;
+            this._cacheQueryRecords(result.records);
+            this._records = result.records || [];
+            this._queryTotal = result.totalCount || 0;
+            this._isQueryTotalCapped = result.isTotalCapped === true;
+            this._queryError = null;
+        } catch (error) {
+            if (requestNumber !== this._queryRequestNumber) return;
+            this._queryError = this.normalizeError(error);
+        } finally {
+            if (requestNumber === this._queryRequestNumber) {
+                this._isQueryLoading = false;
+                this._queryLoaded = true;
+            }
+        }
+    }
+
+    // Reloads the first page after the sort or search changed
+    _reloadQuery() {
+        if (this.isQueryMode) {
+            this._loadQueryPage();
+        }
+    }
+
+    _cacheQueryRecords(records) {
+        (records || []).forEach(record => {
+            if (record && record.Id) {
+                this._queryRecordCache.set(record.Id, record);
+            }
+        });
+    }
+
     // ─────────────────────────────────────────────────────────────────
     // Column processing
     // ─────────────────────────────────────────────────────────────────
@@ -169,6 +801,12 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
         return new Set(this.editableFields.split(',').map(f => f.trim()).filter(f => f));
     }
 
+    // Lowercased, since search terms and field names are matched case-insensitively
+    get _searchableFieldSet() {
+        if (!this.searchableFields) return new Set();
+        return new Set(this.searchableFields.split(',').map(f => f.trim().toLowerCase()).filter(f => f));
+    }
+
     get processedColumns() {
         if (!this._columnMetadata || this._columnMetadata.length === 0) {
             return [];
@@ -178,24 +816,54 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
             ? this.columnLabels.split(',').map(l => l.trim())
             : [];
         const editableSet = this._editableFieldSet;
+        const searchableFields = this._searchableFieldSet;
+        const widths = this._parseColumnList(this.columnWidths);
+        const minWidths = this._parseColumnList(this.columnMinWidths);
+        const alignments = this._parseColumnList(this.columnAlignments);
+        const wrapping = this._parseColumnList(this.columnWrapping);
+        const frozenCount = this._frozenColumnCount;
 
         return this._columnMetadata.map((col, index) => {
             const label = customLabels[index] || col.label || col.fieldApiName;
-            const isSorted = this._sortField === col.fieldApiName;
+            const sortIndex = this._sortFields.findIndex(
+                sort => sort.fieldName.toLowerCase() === col.fieldApiName.toLowerCase()
+            );
+            const isSorted = sortIndex !== -1;
+            const sortDirection = isSorted ? this._sortFields[sortIndex].direction : null;
             let sortIcon = 'utility:arrowdown';
             let sortClass = 'sort-icon sort-icon-hidden';
             if (isSorted) {
-                sortIcon = this._sortDirection === 'asc' ? 'utility:arrowup' : 'utility:arrowdown';
+                sortIcon = sortDirection === 'asc' ? 'utility:arrowup' : 'utility:arrowdown';
                 sortClass = 'sort-icon';
             }
 
             // A field is editable if: inline edit is on, it's in the editableFields list
-            // (or editableFields is empty = all editable fields allowed), and it's not a relationship
+            // (or editableFields is empty = all editable fields allowed), and the service
+            // marked it editable — relationship paths only are when they're a lookup's
+            // name column (e.g. "Account.Name"), edited through the lookup picker
             const isFieldEditable = this.canInlineEdit &&
                 col.isEditable &&
-                !col.isRelationship &&
                 (editableSet.size === 0 || editableSet.has(col.fieldApiName));
 
+            // Lookup name columns store their edits on the lookup Id field
+            const isLookup = col.isLookupName === true || col.dataType === 'REFERENCE';
+            const editFieldName = col.isLookupName ? col.relationshipIdField : col.fieldApiName;
+
+            // Header filters would only see the loaded page, so query mode has none
+            const filterKind = this.isQueryMode ? null : this._getFilterKind(col.dataType);
+            const filterKey = col.fieldApiName.toLowerCase();
+            const hasFilter = !!filterKind && this._columnFilters.has(filterKey);
+
+            const isFrozen = index < frozenCount;
+            const layout = this._getColumnLayout(filterKey, {
+                width: widths[index],
+                minWidth: minWidths[index],
+                alignment: alignments[index],
+                wrapping: wrapping[index],
+                isFrozen: isFrozen,
+                left: isFrozen ? this._frozenOffsets[this._leadingColumnCount + index] : null
+            });
+
             return {
                 key: `col-${index}`,
                 fieldApiName: col.fieldApiName,
@@ -204,12 +872,46 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
                 isEditable: isFieldEditable,
                 isRelationship: col.isRelationship,
                 relationshipIdField: col.relationshipIdField,
+                isLookup: isLookup,
+                isLookupName: col.isLookupName === true,
+                editFieldName: editFieldName,
                 picklistValues: col.picklistValues,
+                controllingField: col.controllingField,
+                dependentValues: col.dependentValues,
+                isPolymorphic: col.isPolymorphic,
+                referenceTargets: col.referenceTargets,
+                length: col.length,
+                precision: col.precision,
+                scale: col.scale,
+                digits: col.digits,
+                isRequired: col.isRequired,
+                inlineHelpText: col.inlineHelpText,
+                isHtmlFormatted: col.isHtmlFormatted === true,
+                isSearchable: searchableFields.size === 0 || searchableFields.has(col.fieldApiName.toLowerCase()),
+                filterKind: filterKind,
+                filterKey: filterKey,
+                isFilterable: !!filterKind,
+                filterButtonVariant: hasFilter ? 'brand' : 'bare',
+                filterButtonLabel: hasFilter ? `Filter ${label} (active)` : `Filter ${label}`,
+                menuLabel: `${label} column actions`,
+                menuItems: this._getHeaderMenuItems(col, label, isFieldEditable),
                 isSorted: isSorted,
                 sortIcon: sortIcon,
                 sortClass: sortClass,
-                headerClass: 'slds-is-sortable',
-                ariaSort: isSorted ? (this._sortDirection === 'asc' ? 'ascending' : 'descending') : 'none'
+                // Priority numbers only mean something once there's more than one sort
+                sortPriority: isSorted && this._sortFields.length > 1 ? sortIndex + 1 : null,
+                headerClass: isFrozen ? 'slds-is-sortable frozen-col' : 'slds-is-sortable',
+                headerStyle: layout.headerStyle,
+                headerGridClass: layout.headerGridClass,
+                cellLayoutClass: layout.cellClass,
+                cellLayoutStyle: layout.cellStyle,
+                widthKey: filterKey,
+                width: layout.width,
+                minWidth: layout.minWidth,
+                isFrozen: isFrozen,
+                isWrapped: layout.isWrapped,
+                resizeLabel: `Resize ${label}`,
+                ariaSort: isSorted ? (sortDirection === 'asc' ? 'ascending' : 'descending') : 'none'
             };
         });
     }
@@ -218,62 +920,167 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
     // Row processing
     // ─────────────────────────────────────────────────────────────────
 
-    get processedRows() {
+    /**
+     * Records after search and sort, before windowing. Cached until the
+     * records, metadata, search term or sort change, so scrolling and
+     * paging don't re-filter thousands of rows on every render.
+     */
+    get _filteredSortedRecords() {
         if (!this.hasRecords || !this._metadataLoaded) {
             return [];
         }
 
+        const cache = this._rowCache;
+        const tableRecords = this._tableRecords;
+        if (cache.tableRecords === tableRecords &&
+            cache.columnMetadata === this._columnMetadata &&
+            cache.searchTerm === this._searchTerm &&
+            cache.columnFilters === this._columnFilters &&
+            cache.sortFields === this._sortFields &&
+            cache.groupByField === this._groupByField) {
+            return cache.result;
+        }
+
         const columns = this.processedColumns;
-        let rows = this.safeRecords;
+        let rows = tableRecords;
 
-        // Apply search filter
-        if (this._searchTerm) {
-            const term = this._searchTerm.toLowerCase();
+        // Apply search filter. Rows added in the table always show, so they don't
+        // vanish while they're still blank. Query mode pages are already searched.
+        const searchTerms = this.isQueryMode ? [] : this._searchTerms;
+        if (searchTerms.length > 0) {
+            const searchColumns = columns.filter(col => col.isSearchable);
             rows = rows.filter(record => {
-                return columns.some(col => {
-                    const val = this.getFieldValue(record, col.fieldApiName);
-                    return val != null && String(val).toLowerCase().includes(term);
-                });
+                if (this._isAddedRecord(record)) return true;
+                const texts = new Map();
+                return searchTerms.every(term =>
+                    (term.col ? [term.col] : searchColumns).some(col => {
+                        if (!texts.has(col.key)) {
+                            texts.set(col.key, this._getSearchText(record, col));
+                        }
+                        return texts.get(col.key).includes(term.text);
+                    })
+                );
             });
         }
 
-        // Apply sort
-        if (this._sortField) {
-            const field = this._sortField;
-            const dir = this._sortDirection === 'asc' ? 1 : -1;
-            rows = [...rows].sort((a, b) => {
-                const aVal = this.getFieldValue(a, field);
-                const bVal = this.getFieldValue(b, field);
-                if (aVal == null && bVal == null) return 0;
-                if (aVal == null) return 1;
-                if (bVal == null) return -1;
-                if (typeof aVal === 'string') {
-                    return dir * aVal.localeCompare(String(bVal));
+        // Apply header filters
+        const activeFilters = columns
+            .filter(col => col.filterKind && this._columnFilters.has(col.filterKey))
+            .map(col => ({ col, filter: this._columnFilters.get(col.filterKey) }));
+        if (activeFilters.length > 0) {
+            rows = rows.filter(record => this._isAddedRecord(record) ||
+                activeFilters.every(({ col, filter }) => this._matchesFilter(record, col, filter))
+            );
+        }
+
+        // Apply sort. Grouping sorts by the group field first so each group's rows
+        // are contiguous, and the other sorts apply within each group. Query mode
+        // pages come back sorted.
+        const sortFields = this.isQueryMode ? [] : this._effectiveSortFields;
+        if (sortFields.length > 0) {
+            rows = this._sortRecords(rows, columns, sortFields);
+        }
+
+        cache.tableRecords = tableRecords;
+        cache.columnMetadata = this._columnMetadata;
+        cache.searchTerm = this._searchTerm;
+        cache.columnFilters = this._columnFilters;
+        cache.sortFields = this._sortFields;
+        cache.groupByField = this._groupByField;
+        cache.result = rows;
+        return rows;
+    }
+
+    /**
+     * Rows as displayed: { record, recordIndex } per record, plus group header
+     * items ({ isGroup, groupKey, value, records }) when grouped. Rows in collapsed
+     * groups are left out. Cached in _rowCache like the filtered/sorted records.
+     */
+    get _displayItems() {
+        const records = this._filteredSortedRecords;
+        const cache = this._rowCache;
+        if (cache.itemsSource === records &&
+            cache.itemsGroupBy === this._groupByField &&
+            cache.itemsCollapsed === this._collapsedGroups) {
+            return cache.items;
+        }
+
+        let items;
+        if (!this._groupByField) {
+            items = records.map((record, index) => ({ record, recordIndex: index }));
+        } else {
+            items = [];
+            let group = null;
+            records.forEach((record, index) => {
+                const groupKey = this._getGroupKey(record);
+                if (!group || group.groupKey !== groupKey) {
+                    group = {
+                        isGroup: true,
+                        groupKey,
+                        value: this.getFieldValue(record, this._groupByField),
+                        records: []
+                    };
+                    items.push(group);
+                }
+                group.records.push(record);
+                if (!this._collapsedGroups.has(groupKey)) {
+                    items.push({ record, recordIndex: index });
                 }
-                if (aVal < bVal) return -1 * dir;
-                if (aVal > bVal) return 1 * dir;
-                return 0;
             });
         }
 
-        return rows.map((record, index) => {
-            const recordId = record.Id;
+        cache.itemsSource = records;
+        cache.itemsGroupBy = this._groupByField;
+        cache.itemsCollapsed = this._collapsedGroups;
+        cache.items = items;
+        return items;
+    }
+
+    /**
+     * Row view models for the rows actually rendered. Only the items in the
+     * current render window (page or virtual viewport) get row/cell objects.
+     */
+    get processedRows() {
+        const items = this._displayItems;
+        if (items.length === 0) {
+            return [];
+        }
+
+        const columns = this.processedColumns;
+        const searchTerms = this._searchTerms; // parsed once here, not per highlighted cell
+        const { start, end } = this._renderWindow;
+
+        return items.slice(start, end).map(item => {
+            if (item.isGroup) {
+                return this._buildGroupRow(item, columns);
+            }
+            const record = item.record;
+            const index = item.recordIndex;
+            const recordId = this._getRecordKey(record);
             const isSelected = this._selectedIds.has(recordId);
-            const isEdited = this._editedRecordMap.has(recordId);
+
+            // Once maxSelections is reached, the remaining unchecked rows are locked
+            const isSelectionDisabled = !isSelected && this.isMaxSelectionReached;
 
             let rowClass = 'slds-hint-parent';
             if (isSelected) {
                 rowClass += ' row-selected';
             }
             if (this.isSelectable) {
-                rowClass += ' row-selectable';
+                rowClass += isSelectionDisabled ? ' row-selection-disabled' : ' row-selectable';
+            }
+
+            const saveError = this._saveErrors.get(recordId);
+            if (saveError) {
+                rowClass += ' row-error';
+            }
+            const isNew = this._isAddedRecord(record);
+            if (isNew) {
+                rowClass += ' row-new';
             }
 
             const cells = columns.map((col, colIndex) => {
-                const rawValue = this.getFieldValue(record, col.fieldApiName);
-                const editedValues = this._editedRecordMap.get(recordId);
-                const hasEdit = editedValues && editedValues.hasOwnProperty(col.fieldApiName);
-                const displayRawValue = hasEdit ? editedValues[col.fieldApiName] : rawValue;
+                const { hasEdit, displayRawValue, editedLookupId, refTarget, displayValue } = this._getCellValue(record, col);
 
                 const isCurrentlyEditing = this._editingCell &&
                     this._editingCell.recordId === recordId &&
@@ -281,150 +1088,491 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
 
                 const canEditThisCell = col.isEditable;
 
-                // Format display value — for picklists, resolve API value to label
-                let displayValue;
-                if ((col.dataType === 'PICKLIST' || col.dataType === 'MULTIPICKLIST') && col.picklistValues && displayRawValue != null) {
-                    if (col.dataType === 'MULTIPICKLIST' && typeof displayRawValue === 'string') {
-                        displayValue = displayRawValue.split(';').map(v => {
-                            const match = col.picklistValues.find(pv => pv.value === v.trim());
-                            return match ? match.label : v.trim();
-                        }).join('; ');
-                    } else {
-                        const match = col.picklistValues.find(pv => pv.value === displayRawValue);
-                        displayValue = match ? match.label : String(displayRawValue);
-                    }
-                } else {
-                    displayValue = this.formatValue(displayRawValue, col.dataType);
-                }
-
                 // Relationship link info
                 let isLink = col.isRelationship && displayRawValue != null;
                 let linkRecordId = null;
                 if (isLink && col.relationshipIdField) {
-                    linkRecordId = record[col.relationshipIdField];
-                    if (!linkRecordId) {
+                    linkRecordId = editedLookupId || this.getRelatedRecordId(record, col);
+                    if (!linkRecordId || (refTarget && NON_NAVIGABLE_OBJECTS.has(refTarget.objectApiName))) {
                         isLink = false;
                     }
                 }
+                const linkTitle = refTarget && col.isPolymorphic
+                    ? `${displayValue} (${refTarget.objectLabel})`
+                    : displayValue;
+
+                // Invalid edits (describe limits) first, then save errors: field errors go
+                // on their cell, row-level errors on the first cell
+                const cellErrors = this._cellErrors.get(recordId);
+                let errorMessage = cellErrors ? cellErrors[col.editFieldName] || null : null;
+                if (!errorMessage && saveError) {
+                    const fieldMessage = saveError.fieldMessages[col.fieldApiName] ||
+                        saveError.fieldMessages[col.editFieldName];
+                    if (fieldMessage) {
+                        errorMessage = fieldMessage;
+                    } else if (colIndex === 0 && saveError.rowMessages.length > 0) {
+                        errorMessage = saveError.rowMessages.join(' ');
+                    }
+                }
 
-                let cellClass = 'cell-value';
+                let cellClass = 'cell-value' + col.cellLayoutClass;
                 if (hasEdit) {
                     cellClass += ' cell-edited';
                 }
+                if (errorMessage) {
+                    cellClass += ' cell-error';
+                }
                 if (canEditThisCell && !isCurrentlyEditing) {
                     cellClass += ' cell-editable';
                 }
 
-                // Determine input type for edit mode
-                let inputType = 'text';
-                let isPicklist = false;
-                let isCheckbox = false;
+                const editor = this._getEditorConfig(col);
                 let picklistOptions = [];
-                if (col.dataType === 'DOUBLE' || col.dataType === 'INTEGER' || col.dataType === 'CURRENCY' || col.dataType === 'PERCENT') {
-                    inputType = 'number';
-                } else if (col.dataType === 'DATE') {
-                    inputType = 'date';
-                } else if (col.dataType === 'DATETIME') {
-                    inputType = 'datetime';
-                } else if (col.dataType === 'BOOLEAN') {
-                    isCheckbox = true;
-                } else if (col.dataType === 'PICKLIST' || col.dataType === 'MULTIPICKLIST') {
-                    isPicklist = true;
-                    if (col.picklistValues) {
-                        picklistOptions = col.picklistValues.map(pv => ({
-                            label: pv.label,
-                            value: pv.value
-                        }));
-                    }
+                if ((editor.isPicklist || editor.isMultiPicklist) && isCurrentlyEditing) {
+                    picklistOptions = this._getAllowedPicklistValues(col, recordId).map(pv => ({
+                        label: pv.label,
+                        value: pv.value
+                    }));
                 }
 
                 // Show pencil icon on editable cells when not currently editing
                 const showPencil = canEditThisCell && !isCurrentlyEditing;
 
+                const display = this._getDisplayKind(col, displayRawValue, isLink);
+                // Search matches saved values (see _getSearchText), so edited cells aren't highlighted
+                const textSegments = isLink || display.isPlainText || display.isLongText
+                    ? this._getTextSegments(displayValue, col, hasEdit ? [] : searchTerms)
+                    : null;
+                const isChecked = displayRawValue === true || displayRawValue === 'true';
+
                 return {
                     key: `cell-${recordId}-${colIndex}`,
                     fieldName: col.fieldApiName,
                     value: displayRawValue,
+                    editValue: this._toEditorValue(col, displayRawValue),
                     displayValue: displayValue,
                     isEditing: isCurrentlyEditing,
                     canEdit: canEditThisCell,
                     showPencil: showPencil,
                     isLink: isLink,
                     linkRecordId: linkRecordId,
-                    isCheckbox: isCheckbox,
-                    isPicklist: isPicklist,
-                    isStandardInput: !isCheckbox && !isPicklist,
-                    inputType: inputType,
+                    linkObjectApiName: refTarget ? refTarget.objectApiName : null,
+                    linkTitle: linkTitle,
+                    isCheckbox: editor.isCheckbox,
+                    isPicklist: editor.isPicklist,
+                    isMultiPicklist: editor.isMultiPicklist,
+                    isTextarea: editor.isTextarea,
+                    isLookup: col.isLookup,
+                    isStandardInput: editor.isStandardInput,
+                    inputType: editor.inputType,
+                    inputStep: editor.inputStep,
+                    maxLength: TEXT_TYPES.has(col.dataType) && col.length > 0 ? col.length : null,
+                    isRequired: col.isRequired === true,
                     picklistOptions: picklistOptions,
                     cellClass: cellClass,
-                    isBoolean: col.dataType === 'BOOLEAN',
-                    booleanDisplay: col.dataType === 'BOOLEAN' ? (displayRawValue ? 'Yes' : 'No') : ''
+                    errorMessage: errorMessage,
+                    ...display,
+                    textSegments: textSegments,
+                    booleanDisplay: col.dataType === 'BOOLEAN' ? (isChecked ? 'Yes' : 'No') : '',
+                    isChecked: isChecked,
+                    cellStyle: col.cellLayoutStyle,
+                    ruleIconName: null,
+                    ruleIconLabel: null
                 };
             });
 
+            // Selected rows keep the selection highlight over a rule's row background
+            const rowStyle = this._applyFormattingRules(record, columns, cells, isSelected);
+
             return {
                 key: recordId || `row-${index}`,
                 recordId: recordId,
+                isGroupHeader: false,
+                isNew: isNew,
+                hasChanges: this._editedRecordMap.has(recordId),
+                deleteLabel: isNew ? 'Remove new row' : 'Delete row',
                 rowNumber: index + 1,
                 isSelected: isSelected,
+                isSelectionDisabled: isSelectionDisabled,
                 rowClass: rowClass,
+                rowStyle: rowStyle,
                 cells: cells,
                 ariaSelected: isSelected ? 'true' : 'false'
             };
         });
     }
 
+    /**
+     * How a cell shows its value when it isn't being edited: exactly one of the
+     * returned flags is true. Email, phone and URL values become links, HTML
+     * fields (rich text, IMAGE() formulas) render through lightning-formatted-rich-text,
+     * which sanitizes them, and long text is clipped with a hover popover.
+     */
+    _getDisplayKind(col, value, isLink) {
+        const hasValue = value != null && value !== '';
+        const kind = {
+            isRichText: !isLink && col.isHtmlFormatted && hasValue,
+            isEmail: !isLink && col.dataType === 'EMAIL' && hasValue,
+            isPhone: !isLink && col.dataType === 'PHONE' && hasValue,
+            isUrl: !isLink && col.dataType === 'URL' && hasValue,
+            isBoolean: !isLink && col.dataType === 'BOOLEAN'
+        };
+        kind.isLongText = !isLink && !kind.isRichText && col.dataType === 'TEXTAREA' && hasValue;
+        kind.isPlainText = !isLink && !Object.values(kind).some(flag => flag);
+        return kind;
+    }
+
+    /**
+     * Which editor a column uses, shared by the cell editors and the mass update dialog.
+     */
+    _getEditorConfig(col) {
+        const config = {
+            inputType: 'text',
+            inputStep: null,
+            isPicklist: false,
+            isMultiPicklist: false,
+            isTextarea: false,
+            isCheckbox: false
+        };
+        if (col.isLookup) {
+            // Edited through the lookup picker
+        } else if (col.dataType === 'DOUBLE' || col.dataType === 'INTEGER' || col.dataType === 'CURRENCY' || col.dataType === 'PERCENT') {
+            config.inputType = 'number';
+            // Allow as many decimals as the field's scale
+            config.inputStep = col.scale > 0 ? Math.pow(10, -col.scale).toFixed(col.scale) : '1';
+        } else if (col.dataType === 'DATE') {
+            config.inputType = 'date';
+        } else if (col.dataType === 'DATETIME') {
+            config.inputType = 'datetime';
+        } else if (col.dataType === 'TIME') {
+            config.inputType = 'time';
+        } else if (col.dataType === 'EMAIL') {
+            config.inputType = 'email';
+        } else if (col.dataType === 'PHONE') {
+            config.inputType = 'tel';
+        } else if (col.dataType === 'URL') {
+            config.inputType = 'url';
+        } else if (col.dataType === 'TEXTAREA') {
+            config.isTextarea = true;
+        } else if (col.dataType === 'BOOLEAN') {
+            config.isCheckbox = true;
+        } else if (col.dataType === 'PICKLIST') {
+            config.isPicklist = true;
+        } else if (col.dataType === 'MULTIPICKLIST') {
+            config.isMultiPicklist = true;
+        }
+        config.isStandardInput = !config.isCheckbox && !config.isPicklist && !config.isMultiPicklist &&
+            !config.isTextarea && !col.isLookup;
+        return config;
+    }
+
+    // Editors take multi-select values as an array and times without the "Z"
+    _toEditorValue(col, value) {
+        if (col.dataType === 'MULTIPICKLIST') {
+            return value ? String(value).split(';') : [];
+        }
+        if (col.dataType === 'TIME' && value) {
+            return String(value).replace(/Z$/, '');
+        }
+        return value;
+    }
+
     // ─────────────────────────────────────────────────────────────────
     // Field value resolution
     // ─────────────────────────────────────────────────────────────────
 
+    /**
+     * Follows a field path of any depth (e.g. "Account.Owner.Name") through the
+     * record's nested relationship objects. Falls back to a case-insensitive key
+     * match per hop, since field names in the CPE config may differ in case.
+     */
     getFieldValue(record, fieldPath) {
         if (!record || !fieldPath) return null;
         const parts = fieldPath.split('.');
         let value = record;
         for (const part of parts) {
-            if (value == null) return null;
-            value = value[part];
+            if (value == null || typeof value !== 'object') return null;
+            if (part in value) {
+                value = value[part];
+            } else {
+                const key = Object.keys(value).find(k => k.toLowerCase() === part.toLowerCase());
+                value = key ? value[key] : undefined;
+            }
         }
         return value;
     }
 
-    formatValue(value, dataType) {
+    /**
+     * Returns the Id of the record a relationship column links to — the value of
+     * the last lookup in the chain (e.g. Account.OwnerId for Account.Owner.Name),
+     * or the Id of the related object itself when the lookup field wasn't loaded.
+     */
+    getRelatedRecordId(record, col) {
+        const lookupId = this.getFieldValue(record, col.relationshipIdField);
+        if (lookupId) return lookupId;
+
+        const path = col.fieldApiName;
+        if (!path.includes('.')) return null;
+        return this.getFieldValue(record, path.substring(0, path.lastIndexOf('.')) + '.Id');
+    }
+
+    /**
+     * Picks which of a lookup column's possible target objects this row's related
+     * record actually is — from the related object's attributes.type when present,
+     * otherwise by matching the related Id's key prefix (e.g. 005 = User, 00G = Queue).
+     * Returns null for columns without reference targets. editedId, when given,
+     * is an unsaved lookup edit that replaces the record's own related Id.
+     */
+    resolveReferenceTarget(record, col, editedId) {
+        const targets = col.referenceTargets;
+        if (!targets || targets.length === 0) return null;
+        if (targets.length === 1) return targets[0];
+
+        const path = col.fieldApiName;
+        if (!editedId && path.includes('.')) {
+            const related = this.getFieldValue(record, path.substring(0, path.lastIndexOf('.')));
+            const type = related && related.attributes ? related.attributes.type : null;
+            const byType = type ? targets.find(t => t.objectApiName === type) : null;
+            if (byType) return byType;
+        }
+
+        const relatedId = editedId || this.getRelatedRecordId(record, col);
+        if (!relatedId) return null;
+        const prefix = String(relatedId).substring(0, 3);
+        return targets.find(t => t.keyPrefix === prefix) || null;
+    }
+
+    /**
+     * A cell's value as displayed, including any unsaved edit: the raw value, the
+     * value shown (edit or original), and its formatted text — picklist labels,
+     * formatted dates, currency and so on. Shared by the rows, the export and
+     * search (which ignores edits, like the header filters).
+     */
+    _getCellValue(record, col, { ignoreEdits = false } = {}) {
+        const rawValue = this.getFieldValue(record, col.fieldApiName);
+        const editedValues = ignoreEdits ? null : this._editedRecordMap.get(this._getRecordKey(record));
+        const hasEdit = !!editedValues && editedValues.hasOwnProperty(col.editFieldName);
+        let displayRawValue = hasEdit ? editedValues[col.editFieldName] : rawValue;
+
+        // A lookup edit holds the new Id; name columns show the picked record's name
+        const editedLookupId = hasEdit && col.isLookup ? editedValues[col.editFieldName] : null;
+        if (hasEdit && col.isLookupName) {
+            displayRawValue = editedLookupId
+                ? this._lookupNameCache.get(editedLookupId) || editedLookupId
+                : null;
+        }
+
+        // Polymorphic lookups (Owner, What, Who): the row's actual referenced
+        // object decides the value's type and where the link goes
+        const refTarget = this.resolveReferenceTarget(record, col, editedLookupId);
+        const valueDataType = refTarget && refTarget.dataType ? refTarget.dataType : col.dataType;
+
+        // Format display value — for picklists, resolve API value to label
+        let displayValue;
+        if ((col.dataType === 'PICKLIST' || col.dataType === 'MULTIPICKLIST') && col.picklistValues && displayRawValue != null) {
+            if (col.dataType === 'MULTIPICKLIST' && typeof displayRawValue === 'string') {
+                displayValue = displayRawValue.split(';').map(v => {
+                    const match = col.picklistValues.find(pv => pv.value === v.trim());
+                    return match ? match.label : v.trim();
+                }).join('; ');
+            } else {
+                const match = col.picklistValues.find(pv => pv.value === displayRawValue);
+                displayValue = match ? match.label : String(displayRawValue);
+            }
+        } else {
+            displayValue = this.formatValue(displayRawValue, valueDataType, {
+                scale: col.scale,
+                currencyCode: valueDataType === 'CURRENCY' ? this._getCurrencyCode(record, col) : null
+            });
+        }
+
+        return { rawValue, hasEdit, displayRawValue, editedLookupId, refTarget, valueDataType, displayValue };
+    }
+
+    /**
+     * Formats a value for display in the user's Salesforce locale and time zone.
+     * options.scale is the field's describe scale (decimal places for numbers,
+     * currency and percents); options.currencyCode is the row's currency, which
+     * defaults to the user's currency.
+     */
+    formatValue(value, dataType, options = {}) {
         if (value == null) return '';
         if (dataType === 'BOOLEAN') {
             return value ? 'Yes' : 'No';
         }
-        if (dataType === 'CURRENCY') {
-            return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(value);
-        }
-        if (dataType === 'PERCENT') {
-            return value + '%';
+        if (dataType === 'CURRENCY' || dataType === 'PERCENT' || dataType === 'INTEGER' || dataType === 'DOUBLE') {
+            return this._formatNumber(value, dataType, options);
         }
         if (dataType === 'DATE') {
-            try {
-                const d = new Date(value);
-                return d.toLocaleDateString();
-            } catch (e) {
-                return String(value);
-            }
+            // Dates have no time zone: format the calendar date as stored
+            const d = new Date(`${String(value).substring(0, 10)}T00:00:00Z`);
+            return isNaN(d.getTime())
+                ? String(value)
+                : this._getFormatter(Intl.DateTimeFormat, { timeZone: 'UTC' }).format(d);
         }
         if (dataType === 'DATETIME') {
+            const d = new Date(value);
+            return isNaN(d.getTime())
+                ? String(value)
+                : this._getFormatter(Intl.DateTimeFormat, {
+                    year: 'numeric',
+                    month: 'numeric',
+                    day: 'numeric',
+                    hour: 'numeric',
+                    minute: '2-digit',
+                    timeZone: TIME_ZONE
+                }).format(d);
+        }
+        if (dataType === 'TIME') {
+            // Time fields have no time zone; the "Z" is only part of the format
+            const d = new Date(`1970-01-01T${String(value).replace(/Z?$/, 'Z')}`);
+            return isNaN(d.getTime())
+                ? String(value)
+                : this._getFormatter(Intl.DateTimeFormat, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' }).format(d);
+        }
+        return String(value);
+    }
+
+    _formatNumber(value, dataType, { scale, currencyCode } = {}) {
+        const num = Number(value);
+        if (value === '' || !isFinite(num)) return String(value);
+
+        const options = {};
+        if (scale != null && scale >= 0) {
+            options.minimumFractionDigits = scale;
+            options.maximumFractionDigits = scale;
+        }
+        if (dataType === 'CURRENCY') {
             try {
-                const d = new Date(value);
-                return d.toLocaleString();
+                return this._getFormatter(Intl.NumberFormat, {
+                    ...options,
+                    style: 'currency',
+                    currency: currencyCode || CURRENCY
+                }).format(num);
             } catch (e) {
-                return String(value);
+                // Not an ISO currency code Intl knows: show the code after the number
+                return `${this._getFormatter(Intl.NumberFormat, options).format(num)} ${currencyCode}`;
             }
         }
-        return String(value);
+        if (dataType === 'PERCENT') {
+            // Percent fields hold 12.5 for 12.5%
+            return this._getFormatter(Intl.NumberFormat, { ...options, style: 'percent' }).format(num / 100);
+        }
+        return this._getFormatter(Intl.NumberFormat, options).format(num);
+    }
+
+    // Intl formatters are slow to build, so each set of options is built once
+    _getFormatter(FormatterType, options) {
+        const key = `${FormatterType.name}:${JSON.stringify(options)}`;
+        let formatter = this._formatters.get(key);
+        if (!formatter) {
+            formatter = new FormatterType(LOCALE, options);
+            this._formatters.set(key, formatter);
+        }
+        return formatter;
+    }
+
+    /**
+     * The currency a row's value is in: the CurrencyIsoCode of the record that
+     * holds the field (the related record for relationship columns), including an
+     * unsaved edit. Null when the records don't include it.
+     */
+    _getCurrencyCode(record, col) {
+        const lastDot = col.fieldApiName.lastIndexOf('.');
+        const currencyField = lastDot === -1
+            ? 'CurrencyIsoCode'
+            : `${col.fieldApiName.substring(0, lastDot)}.CurrencyIsoCode`;
+        const code = this._getCurrentFieldValue(record, currencyField);
+        return code ? String(code) : null;
     }
 
     // ─────────────────────────────────────────────────────────────────
     // Selection handling
     // ─────────────────────────────────────────────────────────────────
 
+    /**
+     * Checks rows on load. Selections from the user's last visit to this screen
+     * (Flow passes the previous selectedRecords back in) win over the
+     * preSelectedRecords / preSelectedIds inputs.
+     */
     initializeSelections() {
         this._selectedIds = new Set();
+        if (this.isViewOnly || (!this.hasRecords && !this.isQueryMode)) return;
+
+        let candidateIds = this._collectIds(this.selectedRecords);
+        const isRestore = candidateIds.length > 0;
+        if (!isRestore) {
+            candidateIds = [
+                ...this._collectIds(this.preSelectedRecords),
+                ...(Array.isArray(this.preSelectedIds) ? this.preSelectedIds : [])
+            ];
+        }
+
+        const matchedIds = [];
+        candidateIds.forEach(candidate => {
+            const recordId = this._matchRecordId(candidate);
+            if (recordId && !matchedIds.includes(recordId)) {
+                matchedIds.push(recordId);
+            }
+        });
+        if (matchedIds.length === 0) return;
+
+        this._selectedIds = new Set(this.isSingleSelect ? matchedIds.slice(0, 1) : matchedIds);
+
+        // Publish pre-selections so the outputs are right even if the user never clicks
+        if (!isRestore) {
+            this.updateSelectionOutputs();
+        }
+    }
+
+    /**
+     * Rebuilds the in-progress edits from the editedRecords Flow passes back in on
+     * Back/Next, by diffing each returned record against the original.
+     */
+    restoreEdits() {
+        if (!this.canInlineEdit || !Array.isArray(this.editedRecords) || this.editedRecords.length === 0) {
+            return;
+        }
+
+        const restored = new Map();
+        this.editedRecords.forEach(edited => {
+            const recordId = edited ? this._matchRecordId(edited.Id) : null;
+            if (!recordId) return;
+
+            const original = this._knownRecords.find(r => r && r.Id === recordId);
+            const edits = {};
+            Object.keys(edited).forEach(fieldName => {
+                const value = edited[fieldName];
+                // Only top-level field values can be edits (skip Id and relationship objects)
+                if (fieldName === 'Id' || (value != null && typeof value === 'object')) return;
+                if (!this._valuesEqual(value, original[fieldName])) {
+                    edits[fieldName] = value;
+                }
+            });
+
+            if (Object.keys(edits).length > 0) {
+                restored.set(recordId, edits);
+            }
+        });
+
+        this._editedRecordMap = restored;
+    }
+
+    _collectIds(records) {
+        if (!Array.isArray(records)) return [];
+        return records.filter(r => r && r.Id).map(r => r.Id);
+    }
+
+    /**
+     * Returns the Id of the row matching the given Id (15- or 18-character),
+     * or null when it isn't one of the table's records.
+     */
+    _matchRecordId(id) {
+        if (!id) return null;
+        const shortId = String(id).substring(0, 15);
+        const match = this._knownRecords.find(r => r && r.Id && !this._deletedIds.has(r.Id) &&
+            (r.Id === id || r.Id.substring(0, 15) === shortId));
+        return match ? match.Id : null;
     }
 
     handleRowClick(event) {
@@ -445,6 +1593,8 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
         } else if (this.isMultiSelect) {
             if (newSelectedIds.has(recordId)) {
                 newSelectedIds.delete(recordId);
+            } else if (this.isMaxSelectionReached) {
+                return;
             } else {
                 newSelectedIds.add(recordId);
             }
@@ -459,16 +1609,20 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
 
         const newSelectedIds = new Set(this._selectedIds);
 
-        if (this.isAllSelected) {
+        if (this.selectAllChecked && this.isQueryMode) {
+            // Deselect the page; rows selected on other pages stay selected
+            this._tableRecords.forEach(r => newSelectedIds.delete(this._getRecordKey(r)));
+        } else if (this.selectAllChecked) {
             // Deselect all
             newSelectedIds.clear();
         } else {
-            // Select all visible (filtered) rows
-            this.processedRows.forEach(row => {
-                if (row.recordId) {
-                    newSelectedIds.add(row.recordId);
-                }
-            });
+            // Select all filtered rows, including those outside the current page/viewport,
+            // stopping at maxSelections when one is set
+            const max = this._maxSelectionLimit;
+            for (const record of this._filteredSortedRecords) {
+                if (max != null && newSelectedIds.size >= max) break;
+                newSelectedIds.add(this._getRecordKey(record));
+            }
         }
 
         this._selectedIds = newSelectedIds;
@@ -476,8 +1630,7 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
     }
 
     updateSelectionOutputs() {
-        const allRecords = this.safeRecords;
-        const selected = allRecords.filter(r => r && r.Id && this._selectedIds.has(r.Id));
+        const selected = this._getSelectedRecords().map(r => this._getOutputRecord(r));
 
         this.dispatchEvent(
             new FlowAttributeChangeEvent('selectedRecords', selected)
@@ -490,6 +1643,95 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
         if (this.canInlineEdit && this._editedRecordMap.size > 0) {
             this.updateEditOutputs();
         }
+
+        // Once an error is showing, keep it in sync as the user fixes the selection
+        if (this._validationError) {
+            this._validationError = this._getValidationError();
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Flow validation
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Flow screen validation contract — called when the user clicks Next/Finish.
+     * Commits any half-typed cell edit first, then checks the open editor's
+     * input validity and the selection rules.
+     */
+    @api
+    validate() {
+        const editError = this._commitActiveEdit();
+        const newRowError = this._flagIncompleteAddedRecords()
+            ? 'Complete the required fields in the new rows.'
+            : null;
+        const invalidEditError = this._cellErrors.size > 0
+            ? 'Fix the highlighted cells before continuing.'
+            : null;
+        const unsavedError = this.isSaveToDatabase && this._unsavedRecordIds.length > 0
+            ? 'Save your changes before continuing.'
+            : null;
+        const error = editError || newRowError || invalidEditError || unsavedError || this._getValidationError();
+        this._validationError = error;
+
+        if (error) {
+            return { isValid: false, errorMessage: error };
+        }
+        return { isValid: true };
+    }
+
+    get hasValidationError() {
+        return !!this._validationError;
+    }
+
+    _getValidationError() {
+        if (!this.isSelectable) return null;
+
+        const count = this._selectedIds.size;
+        const min = parseInt(this.minSelections, 10);
+        const max = this._maxSelectionLimit;
+        let defaultMessage = null;
+
+        if (this.requireSelection && count === 0) {
+            defaultMessage = this.isSingleSelect ? 'Select a row to continue.' : 'Select at least one row to continue.';
+        } else if (this.isMultiSelect && min > 0 && count < min) {
+            defaultMessage = `Select at least ${min} rows to continue.`;
+        } else if (this.isMultiSelect && max != null && count > max) {
+            defaultMessage = `Select no more than ${max} rows to continue.`;
+        }
+
+        if (!defaultMessage) return null;
+        return this.validationErrorMessage || defaultMessage;
+    }
+
+    /**
+     * Saves the value in the cell editor that's still open, if any. Returns an
+     * error message when the typed value is invalid (the editor stays open).
+     */
+    _commitActiveEdit() {
+        if (!this._editingCell) return null;
+
+        const { recordId, fieldName } = this._editingCell;
+        const input = this._getEditingInput();
+        if (!input) {
+            this._editingCell = null;
+            return null;
+        }
+
+        if (typeof input.reportValidity === 'function' && !input.reportValidity()) {
+            return 'Fix the highlighted value before continuing.';
+        }
+
+        // The lookup picker's input holds a search term, not a value
+        if (input.dataset.editor === 'lookup') {
+            this._editingCell = null;
+            return null;
+        }
+
+        const value = input.type === 'checkbox' ? input.checked : input.value;
+        this.saveEdit(recordId, fieldName, value);
+        this._editingCell = null;
+        return null;
     }
 
     // ─────────────────────────────────────────────────────────────────
@@ -505,7 +1747,7 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
 
         if (canEdit !== 'true') return;
 
-        this._editingCell = { recordId, fieldName };
+        this._startEditing(recordId, fieldName);
     }
 
     handlePencilClick(event) {
@@ -515,7 +1757,30 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
 
         if (!recordId || !fieldName) return;
 
+        this._startEditing(recordId, fieldName);
+    }
+
+    _startEditing(recordId, fieldName) {
         this._editingCell = { recordId, fieldName };
+
+        const col = this._getColumn(fieldName);
+        if (col && (col.dataType === 'PICKLIST' || col.dataType === 'MULTIPICKLIST')) {
+            this._loadRecordTypePicklists(recordId);
+        }
+        if (col && col.isLookup) {
+            this._resetLookupSearch();
+            this._runLookupSearch();
+        }
+
+        // Popover editors only close on focus loss, so they need focus to start with
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        setTimeout(() => {
+            this.focusEditingCell();
+        }, 0);
+    }
+
+    _getColumn(fieldName) {
+        return this.processedColumns.find(c => c.fieldApiName === fieldName);
     }
 
     handleCellInputChange(event) {
@@ -559,9 +1824,9 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
                 : inputEl.value;
             this.saveEdit(recordId, fieldName, currentValue);
 
-            // Find current row and compute next row
-            const rows = this.processedRows;
-            const currentIndex = rows.findIndex(r => r.recordId === recordId);
+            // Find current row and compute next row (across pages / virtual window)
+            const rows = this._filteredSortedRecords;
+            const currentIndex = rows.findIndex(r => this._getRecordKey(r) === recordId);
             if (currentIndex === -1) {
                 this._editingCell = null;
                 return;
@@ -578,7 +1843,8 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
             // Navigate to same field in next/previous row
             this._tabNavigating = true;
             const nextRow = rows[nextIndex];
-            this._editingCell = { recordId: nextRow.recordId, fieldName: fieldName };
+            this._editingCell = { recordId: this._getRecordKey(nextRow), fieldName: fieldName };
+            this._revealRowIndex(nextIndex);
 
             // eslint-disable-next-line @lwc/lwc/no-async-operation
             setTimeout(() => {
@@ -588,6 +1854,42 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
         }
     }
 
+    handleMultiPicklistChange(event) {
+        const recordId = event.currentTarget.dataset.recordId;
+        const fieldName = event.currentTarget.dataset.fieldName;
+
+        this.saveEdit(recordId, fieldName, event.detail.value);
+    }
+
+    handleTextareaKeydown(event) {
+        // Enter adds a line; Ctrl/Cmd+Enter finishes the edit
+        if (event.key === 'Enter') {
+            if (event.ctrlKey || event.metaKey) {
+                this._editingCell = null;
+            }
+            return;
+        }
+        this.handleCellInputKeydown(event);
+    }
+
+    handleEditPopoverKeydown(event) {
+        if (event.key === 'Escape') {
+            this._editingCell = null;
+        }
+    }
+
+    handleEditPopoverFocusOut(event) {
+        // Focus moving between parts of the popover (e.g. the dual listbox's
+        // buttons) isn't leaving the editor
+        if (event.relatedTarget && event.currentTarget.contains(event.relatedTarget)) return;
+        if (this._tabNavigating) return;
+        this._editingCell = null;
+    }
+
+    handleEditPopoverDone() {
+        this._editingCell = null;
+    }
+
     handlePicklistChange(event) {
         const recordId = event.currentTarget.dataset.recordId;
         const fieldName = event.currentTarget.dataset.fieldName;
@@ -597,40 +1899,399 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
         this._editingCell = null;
     }
 
-    saveEdit(recordId, fieldName, newValue) {
-        // Compare against original record value — skip if unchanged
-        const originalRecord = this.safeRecords.find(r => r && r.Id === recordId);
-        const originalValue = originalRecord ? this.getFieldValue(originalRecord, fieldName) : undefined;
+    saveEdit(recordId, fieldName, value) {
+        this.saveEdits([{ recordId, fieldName, value }]);
+    }
 
+    /**
+     * Applies a batch of cell edits ({ recordId, fieldName, value }) with a single
+     * update of the edit map and a single editedRecords dispatch, so a mass update
+     * behaves exactly like the same edits made one cell at a time.
+     */
+    saveEdits(changes) {
+        const columns = this.processedColumns;
+        const columnsByField = this._getColumnsByEditField(columns);
         const newMap = new Map(this._editedRecordMap);
+        let changed = false;
+        const applied = changes.map(({ recordId, fieldName, value }) => {
+            const newValue = this._serializeEditValue(fieldName, value, columnsByField.get(fieldName) || null);
+            const previousEdits = newMap.get(recordId);
+            const hadEdit = !!previousEdits && previousEdits.hasOwnProperty(fieldName);
 
-        if (this._valuesEqual(newValue, originalValue)) {
-            // Value matches original — remove this field from edits
-            if (newMap.has(recordId)) {
-                const edits = { ...newMap.get(recordId) };
-                delete edits[fieldName];
-                if (Object.keys(edits).length === 0) {
-                    newMap.delete(recordId);
-                } else {
-                    newMap.set(recordId, edits);
+            // Compare against original record value — skip if unchanged
+            const originalRecord = this._findRecord(recordId);
+            const originalValue = originalRecord ? this.getFieldValue(originalRecord, fieldName) : undefined;
+
+            if (this._valuesEqual(newValue, originalValue)) {
+                // Value matches original — remove this field from edits
+                changed = changed || hadEdit;
+                if (newMap.has(recordId)) {
+                    const edits = { ...newMap.get(recordId) };
+                    delete edits[fieldName];
+                    if (Object.keys(edits).length === 0) {
+                        newMap.delete(recordId);
+                    } else {
+                        newMap.set(recordId, edits);
+                    }
                 }
+            } else {
+                // Actual change — store it
+                changed = changed || !hadEdit || !this._valuesEqual(newValue, previousEdits[fieldName]);
+                const edits = { ...(newMap.get(recordId) || {}) };
+                edits[fieldName] = newValue;
+                newMap.set(recordId, edits);
+            }
+            return { recordId, fieldName, newValue };
+        });
+
+        if (changed) {
+            this._recordHistory();
+        }
+        this._editedRecordMap = newMap;
+        applied.forEach(({ recordId, fieldName, newValue }) => {
+            this._setCellError(recordId, fieldName,
+                this._validateEditValue(fieldName, newValue, recordId, columnsByField.get(fieldName) || null));
+            this._revalidateDependentFields(recordId, fieldName, columns);
+            this._clearSaveError(recordId, fieldName);
+        });
+        this._saveMessage = null;
+        this.updateEditOutputs();
+    }
+
+    /**
+     * Columns by the field their edits are stored on (the first column wins), so
+     * a batch of edits looks each column up once instead of rebuilding
+     * processedColumns for every row.
+     */
+    _getColumnsByEditField(columns) {
+        const byField = new Map();
+        columns.forEach(col => {
+            if (!byField.has(col.editFieldName)) {
+                byField.set(col.editFieldName, col);
+            }
+        });
+        return byField;
+    }
+
+    _findEditColumn(fieldName) {
+        return this.processedColumns.find(c => c.editFieldName === fieldName);
+    }
+
+    /**
+     * Converts an editor's value into the form Flow and DML expect: multi-select
+     * picklists as one ";"-separated string and times as "HH:mm:ss.SSSZ".
+     * Batches pass the column in; otherwise it's looked up.
+     */
+    _serializeEditValue(fieldName, value, col = this._findEditColumn(fieldName)) {
+        if (!col || value == null) return value;
+
+        if (col.dataType === 'MULTIPICKLIST') {
+            const values = Array.isArray(value) ? value : String(value).split(';');
+            const selected = values.map(v => String(v).trim()).filter(v => v);
+            return selected.length > 0 ? selected.join(';') : null;
+        }
+        if (col.dataType === 'TIME') {
+            const match = TIME_PATTERN.exec(value);
+            if (!match) return value;
+            const [, hours, minutes, seconds = '00', millis = '000'] = match;
+            return `${hours}:${minutes}:${seconds}.${millis.padEnd(3, '0')}Z`;
+        }
+        if (col.dataType === 'EMAIL' || col.dataType === 'URL') {
+            return String(value).trim();
+        }
+        return value;
+    }
+
+    /**
+     * Checks an edited value against the column's describe limits, and picklist
+     * values against what the row's controlling field and record type allow.
+     * Batches pass the column in; otherwise it's looked up.
+     * @returns {string|null} The error message, or null when the value is valid
+     */
+    _validateEditValue(fieldName, value, recordId, col = this._findEditColumn(fieldName)) {
+        if (!col) return null;
+
+        const isBlank = value == null || value === '';
+        if (isBlank) {
+            return col.isRequired ? 'Complete this field.' : null;
+        }
+
+        if (TEXT_TYPES.has(col.dataType) && col.length > 0 && String(value).length > col.length) {
+            return `Enter ${col.length} characters or fewer (currently ${String(value).length}).`;
+        }
+
+        if (col.dataType === 'INTEGER' || DECIMAL_TYPES.has(col.dataType)) {
+            const num = Number(value);
+            if (!isFinite(num)) {
+                return 'Enter a valid number.';
+            }
+            if (col.dataType === 'INTEGER' && !Number.isInteger(num)) {
+                return 'Enter a whole number.';
+            }
+
+            // Digits allowed before the decimal point: precision minus scale for
+            // decimal types, digits for integers. Extra decimals are rounded by DML.
+            const maxIntegerDigits = col.dataType === 'INTEGER'
+                ? col.digits
+                : (col.precision || 0) - (col.scale || 0);
+            const integerDigits = String(Math.trunc(Math.abs(num))).length;
+            if (maxIntegerDigits > 0 && integerDigits > maxIntegerDigits) {
+                return `Enter a number with at most ${maxIntegerDigits} digits before the decimal point.`;
             }
+        }
+
+        if (col.dataType === 'EMAIL' && !EMAIL_PATTERN.test(value)) {
+            return 'Enter a valid email address.';
+        }
+        if (col.dataType === 'PHONE' && !PHONE_PATTERN.test(value)) {
+            return 'Enter a valid phone number.';
+        }
+        if (col.dataType === 'URL' && /\s/.test(value)) {
+            return 'Enter a valid URL.';
+        }
+        if (col.dataType === 'TIME' && !TIME_PATTERN.test(value)) {
+            return 'Enter a valid time.';
+        }
+        if (col.dataType === 'DATETIME' && isNaN(new Date(value).getTime())) {
+            return 'Enter a valid date and time.';
+        }
+
+        if ((col.dataType === 'PICKLIST' || col.dataType === 'MULTIPICKLIST') && recordId) {
+            const allowed = this._getAllowedPicklistValues(col, recordId).map(pv => pv.value);
+            const values = col.dataType === 'MULTIPICKLIST' ? String(value).split(';') : [String(value)];
+            const invalid = values.find(v => !allowed.includes(v));
+            if (invalid !== undefined) {
+                return `"${invalid}" isn't available for this record.`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Re-checks dependent picklists on a row after their controlling field changes,
+     * so a value the new controlling value doesn't allow is flagged.
+     */
+    _revalidateDependentFields(recordId, fieldName, columns = this.processedColumns) {
+        const lowerName = fieldName.toLowerCase();
+        const record = this._findRecord(recordId);
+        columns
+            .filter(col => col.isEditable && col.controllingField && col.controllingField.toLowerCase() === lowerName)
+            .forEach(col => {
+                const edits = this._editedRecordMap.get(recordId);
+                const value = edits && edits.hasOwnProperty(col.editFieldName)
+                    ? edits[col.editFieldName]
+                    : this.getFieldValue(record, col.editFieldName);
+                this._setCellError(recordId, col.editFieldName,
+                    this._validateEditValue(col.editFieldName, value, recordId, col));
+            });
+    }
+
+    _setCellError(recordId, fieldName, message) {
+        const existing = this._cellErrors.get(recordId) || {};
+        if (!message && !existing[fieldName]) return;
+
+        const fieldErrors = { ...existing };
+        if (message) {
+            fieldErrors[fieldName] = message;
+        } else {
+            delete fieldErrors[fieldName];
+        }
+
+        const newErrors = new Map(this._cellErrors);
+        if (Object.keys(fieldErrors).length === 0) {
+            newErrors.delete(recordId);
         } else {
-            // Actual change — store it
-            if (!newMap.has(recordId)) {
-                newMap.set(recordId, {});
+            newErrors.set(recordId, fieldErrors);
+        }
+        this._cellErrors = newErrors;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Dependent and record type picklists
+    // ─────────────────────────────────────────────────────────────────
+
+    @wire(getPicklistValuesByRecordType, {
+        objectApiName: '$objectApiName',
+        recordTypeId: '$_pendingRecordTypeId'
+    })
+    wiredRecordTypePicklists({ error, data }) {
+        const recordTypeId = this._pendingRecordTypeId;
+        if (!recordTypeId || (!data && !error)) return;
+
+        // On error the record type gets no entry per field, so its options aren't narrowed
+        const fieldValues = {};
+        if (data) {
+            Object.keys(data.picklistFieldValues).forEach(fieldName => {
+                const values = data.picklistFieldValues[fieldName].values.map(v => v.value);
+                fieldValues[fieldName.toLowerCase()] = new Set(values);
+            });
+        }
+
+        const loaded = new Map(this._recordTypePicklists);
+        loaded.set(recordTypeId, fieldValues);
+        this._recordTypePicklists = loaded;
+    }
+
+    _loadRecordTypePicklists(recordId) {
+        const record = this._findRecord(recordId);
+        const recordTypeId = record ? this.getFieldValue(record, 'RecordTypeId') : null;
+        if (recordTypeId && !this._recordTypePicklists.has(recordTypeId)) {
+            this._pendingRecordTypeId = recordTypeId;
+        }
+    }
+
+    /**
+     * Returns the picklist values a row may use for a column: those its controlling
+     * field's current value allows (including unsaved edits), narrowed to its record
+     * type's values once they've loaded. Rows whose data doesn't include the
+     * controlling field or RecordTypeId aren't narrowed on that basis.
+     */
+    _getAllowedPicklistValues(col, recordId) {
+        let values = col.picklistValues || [];
+        const record = this._findRecord(recordId);
+        if (!record) return values;
+
+        if (col.controllingField && col.dependentValues) {
+            const edits = this._editedRecordMap.get(recordId);
+            const controllingValue = edits && edits.hasOwnProperty(col.controllingField)
+                ? edits[col.controllingField]
+                : this.getFieldValue(record, col.controllingField);
+            if (controllingValue !== undefined) {
+                // A blank controlling value allows no dependent values
+                const allowed = controllingValue == null || controllingValue === ''
+                    ? []
+                    : col.dependentValues[String(controllingValue)] || [];
+                values = values.filter(pv => allowed.includes(pv.value));
             }
-            const edits = { ...newMap.get(recordId) };
-            edits[fieldName] = newValue;
-            newMap.set(recordId, edits);
         }
 
-        this._editedRecordMap = newMap;
-        this.updateEditOutputs();
+        const recordTypeId = this.getFieldValue(record, 'RecordTypeId');
+        const recordTypeValues = recordTypeId ? this._recordTypePicklists.get(recordTypeId) : null;
+        const allowedForRecordType = recordTypeValues ? recordTypeValues[col.fieldApiName.toLowerCase()] : null;
+        if (allowedForRecordType) {
+            values = values.filter(pv => allowedForRecordType.has(pv.value));
+        }
+
+        return values;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Lookup picker
+    // ─────────────────────────────────────────────────────────────────
+
+    get lookupResults() {
+        return this._lookupResults.map(result => ({
+            ...result,
+            key: result.id,
+            title: `${result.name} (${result.objectLabel})`
+        }));
+    }
+
+    get showLookupDropdown() {
+        return this._lookupResults.length > 0 || !!this._lookupError || this.showLookupClear || this.showLookupNoResults;
+    }
+
+    get showLookupNoResults() {
+        return !this._lookupLoading && !this._lookupError && this._lookupResults.length === 0 && !!this._lookupSearchTerm;
+    }
+
+    get showLookupClear() {
+        if (!this._editingCell) return false;
+        const col = this._getColumn(this._editingCell.fieldName);
+        return !!col && !col.isRequired;
+    }
+
+    handleLookupSearchChange(event) {
+        this._lookupSearchTerm = event.target.value || '';
+
+        clearTimeout(this._lookupSearchTimeout);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._lookupSearchTimeout = setTimeout(() => {
+            this._runLookupSearch();
+        }, LOOKUP_SEARCH_DELAY);
+    }
+
+    async _runLookupSearch() {
+        const fieldName = this._bulkEdit
+            ? this._bulkEdit.fieldName
+            : this._editingCell && this._editingCell.fieldName;
+        if (!fieldName) return;
+        const col = this._getColumn(fieldName);
+        if (!col || !col.referenceTargets) return;
+
+        const term = this._lookupSearchTerm;
+        this._lookupLoading = true;
+        this._lookupError = null;
+
+        try {
+            const results = await searchLookupRecords({
+                objectApiNames: col.referenceTargets.map(t => t.objectApiName),
+                searchTerm: term,
+                maxResults: LOOKUP_MAX_RESULTS
+            });
+            // Ignore responses for terms the user has since changed
+            if (term === this._lookupSearchTerm) {
+                this._lookupResults = results || [];
+            }
+        } catch (error) {
+            this._lookupResults = [];
+            this._lookupError = this.normalizeError(error);
+        } finally {
+            this._lookupLoading = false;
+        }
+    }
+
+    handleLookupSelect(event) {
+        // mousedown + preventDefault keeps focus in the search input, so its blur
+        // doesn't close the editor before the pick registers
+        event.preventDefault();
+        const { id, name } = event.currentTarget.dataset;
+        this._applyLookupValue(id || null, name);
+    }
+
+    handleLookupKeydown(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            const first = this._lookupResults[0];
+            if (first) {
+                this._applyLookupValue(first.id, first.name);
+            }
+            return;
+        }
+        if (event.key === 'Escape' || event.key === 'Tab') {
+            this._editingCell = null;
+        }
+    }
+
+    _applyLookupValue(id, name) {
+        if (id && name) {
+            this._lookupNameCache.set(id, name);
+        }
+        if (this._bulkEdit) {
+            this._bulkEdit = { ...this._bulkEdit, value: id, lookupName: id ? name : null, error: null };
+            this._resetLookupSearch();
+            return;
+        }
+
+        if (!this._editingCell) return;
+        const { recordId, fieldName } = this._editingCell;
+        const col = this._getColumn(fieldName);
+        if (!col) return;
+
+        this.saveEdit(recordId, col.editFieldName, id);
+        this._editingCell = null;
+    }
+
+    _resetLookupSearch() {
+        clearTimeout(this._lookupSearchTimeout);
+        this._lookupSearchTerm = '';
+        this._lookupResults = [];
+        this._lookupError = null;
     }
 
     updateEditOutputs() {
-        const allRecords = this.safeRecords;
+        const allRecords = this._knownRecords;
         const edited = [];
 
         this._editedRecordMap.forEach((edits, recordId) => {
@@ -639,6 +2300,11 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
                 return;
             }
 
+            // Records with invalid edits are held back until they're fixed
+            if (this._cellErrors.has(recordId)) {
+                return;
+            }
+
             const original = allRecords.find(r => r && r.Id === recordId);
             if (original) {
                 const merged = { ...original, ...edits };
@@ -649,57 +2315,2282 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
         this.dispatchEvent(
             new FlowAttributeChangeEvent('editedRecords', edited)
         );
+
+        if (this._addedRecords.length > 0) {
+            this.updateAddedOutputs();
+        }
     }
 
     // ─────────────────────────────────────────────────────────────────
-    // Search handling
+    // Adding and deleting rows
     // ─────────────────────────────────────────────────────────────────
 
-    handleSearchChange(event) {
-        this._searchTerm = event.target.value || '';
+    get canAddRows() {
+        return this.allowAddRows && this.canInlineEdit;
     }
 
-    handleClearSearch() {
-        this._searchTerm = '';
+    get showRowActions() {
+        return this.allowDeleteRows || this.canInlineEdit || this.hasCustomRowActions;
     }
 
-    // ─────────────────────────────────────────────────────────────────
-    // Sort handling
-    // ─────────────────────────────────────────────────────────────────
+    /**
+     * The rows in the table: the records input minus deleted rows, then the rows
+     * added here. Cached in _rowCache so it keeps its identity between renders.
+     */
+    get _tableRecords() {
+        const cache = this._rowCache;
+        if (cache.tableSource === this.records &&
+            cache.tableAdded === this._addedRecords &&
+            cache.tableDeleted === this._deletedIds) {
+            return cache.table;
+        }
 
-    handleSort(event) {
-        const fieldName = event.currentTarget.dataset.fieldName;
-        if (!fieldName) return;
+        const existing = this.safeRecords.filter(r => r && !(r.Id && this._deletedIds.has(r.Id)));
+        const rows = [...existing, ...this._addedRecords];
 
-        if (this._sortField === fieldName) {
-            // Toggle direction
-            this._sortDirection = this._sortDirection === 'asc' ? 'desc' : 'asc';
-        } else {
-            this._sortField = fieldName;
-            this._sortDirection = 'asc';
-        }
+        cache.tableSource = this.records;
+        cache.tableAdded = this._addedRecords;
+        cache.tableDeleted = this._deletedIds;
+        cache.table = rows;
+        return rows;
     }
 
-    // ─────────────────────────────────────────────────────────────────
-    // Navigation (relationship links)
-    // ─────────────────────────────────────────────────────────────────
+    /**
+     * A row's key: its Id, or the temporary key of a row added in the table.
+     * Used wherever rows are keyed (selection, edits, errors, data-record-id).
+     */
+    _getRecordKey(record) {
+        if (!record) return null;
+        return record.Id || this._newRowKeys.get(record) || null;
+    }
+
+    _isNewRowKey(key) {
+        return typeof key === 'string' && key.startsWith(NEW_ROW_KEY_PREFIX);
+    }
+
+    _isAddedRecord(record) {
+        return this._newRowKeys.has(record);
+    }
+
+    _findRecord(key) {
+        if (!key) return undefined;
+        const rows = this._tableRecords;
+        const cache = this._rowCache;
+        if (cache.keySource !== rows) {
+            cache.keySource = rows;
+            cache.recordsByKey = new Map(rows.map(r => [this._getRecordKey(r), r]));
+        }
+        return cache.recordsByKey.get(key);
+    }
+
+    // An added row with its edits applied, as output to Flow
+    _getAddedRecordValues(record) {
+        const edits = this._editedRecordMap.get(this._getRecordKey(record));
+        return edits ? { ...record, ...edits } : { ...record };
+    }
+
+    _createAddedRecord(values) {
+        const record = { ...values };
+        this._newRowKeys.set(record, `${NEW_ROW_KEY_PREFIX}${this._nextNewRowNumber++}`);
+        return record;
+    }
+
+    _parseNewRowDefaults() {
+        if (!this.newRowDefaults) return {};
+        try {
+            const parsed = JSON.parse(this.newRowDefaults);
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Restores rows added and deleted on an earlier visit to this screen — Flow
+     * hands back addedRecords and deletedRecords on Back/Next, like editedRecords.
+     */
+    restoreRowChanges() {
+        if (this.canAddRows && Array.isArray(this.addedRecords) && this.addedRecords.length > 0) {
+            this._addedRecords = this.addedRecords.filter(r => r).map(r => this._createAddedRecord(r));
+        }
+        if (this.allowDeleteRows && Array.isArray(this.deletedRecords) && this.deletedRecords.length > 0) {
+            this._deletedIds = new Set(this._collectIds(this.deletedRecords).map(id => this._matchRecordId(id)).filter(id => id));
+        }
+    }
+
+    handleAddRow() {
+        if (this._commitActiveEdit()) return;
+
+        const record = this._createAddedRecord(this._parseNewRowDefaults());
+        this._recordHistory();
+        this._addedRecords = [...this._addedRecords, record];
+        this.updateAddedOutputs();
+
+        // Bring the new row into view and start on its first editable cell
+        const key = this._getRecordKey(record);
+        const index = this._filteredSortedRecords.findIndex(r => r === record);
+        if (index !== -1) {
+            this._revealRowIndex(index);
+        }
+        const firstEditable = this.processedColumns.find(col => col.isEditable);
+        if (firstEditable) {
+            this._startEditing(key, firstEditable.fieldApiName);
+        }
+    }
+
+    handleDeleteRow(event) {
+        // The button sits in the row; deleting shouldn't toggle its selection
+        event.stopPropagation();
+        const key = event.currentTarget.dataset.recordId;
+        const record = this._findRecord(key);
+        if (!record) return;
+
+        if (this._editingCell && this._editingCell.recordId === key) {
+            this._editingCell = null;
+        }
+        this._recordHistory();
+
+        // The row's edits, errors and selection go with it
+        if (this._editedRecordMap.has(key)) {
+            const edits = new Map(this._editedRecordMap);
+            edits.delete(key);
+            this._editedRecordMap = edits;
+        }
+        if (this._cellErrors.has(key)) {
+            const errors = new Map(this._cellErrors);
+            errors.delete(key);
+            this._cellErrors = errors;
+        }
+        this._clearRowSaveErrors(key);
+        const wasSelected = this._selectedIds.has(key);
+        if (wasSelected) {
+            const selected = new Set(this._selectedIds);
+            selected.delete(key);
+            this._selectedIds = selected;
+        }
+
+        if (this._isAddedRecord(record)) {
+            this._addedRecords = this._addedRecords.filter(r => r !== record);
+            this.updateAddedOutputs();
+        } else {
+            const deleted = new Set(this._deletedIds);
+            deleted.add(key);
+            this._deletedIds = deleted;
+            this.updateDeletedOutputs();
+        }
+
+        if (wasSelected) {
+            this.updateSelectionOutputs();
+        } else {
+            this.updateEditOutputs();
+        }
+    }
+
+    /**
+     * Flags blank required fields on added rows (they're only checked as they're
+     * edited otherwise). Returns true when any added row is incomplete.
+     */
+    _flagIncompleteAddedRecords() {
+        let incomplete = false;
+        const requiredColumns = this.processedColumns.filter(col => col.isEditable && col.isRequired);
+        this._addedRecords.forEach(record => {
+            const key = this._getRecordKey(record);
+            const values = this._getAddedRecordValues(record);
+            requiredColumns.forEach(col => {
+                const value = values[col.editFieldName];
+                if (value == null || value === '') {
+                    this._setCellError(key, col.editFieldName, 'Complete this field.');
+                    incomplete = true;
+                }
+            });
+        });
+        return incomplete;
+    }
+
+    updateAddedOutputs() {
+        // Rows with invalid values are held back until they're fixed, like edits
+        const added = this._addedRecords
+            .filter(record => !this._cellErrors.has(this._getRecordKey(record)))
+            .map(record => this._getAddedRecordValues(record));
+
+        this.dispatchEvent(
+            new FlowAttributeChangeEvent('addedRecords', added)
+        );
+    }
+
+    updateDeletedOutputs() {
+        const deleted = this._knownRecords.filter(r => r && r.Id && this._deletedIds.has(r.Id));
+        this.dispatchEvent(
+            new FlowAttributeChangeEvent('deletedRecords', deleted)
+        );
+        this.dispatchEvent(
+            new FlowAttributeChangeEvent('deletedRecordIds', deleted.map(r => r.Id))
+        );
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Row actions
+    // ─────────────────────────────────────────────────────────────────
+
+    get hasCustomRowActions() {
+        return this._rowActions.length > 0;
+    }
+
+    get showRowActionButtons() {
+        return this.hasCustomRowActions && this.rowActionDisplay !== ROW_ACTIONS_MENU;
+    }
+
+    get showRowActionMenu() {
+        return this.hasCustomRowActions && this.rowActionDisplay === ROW_ACTIONS_MENU;
+    }
+
+    get rowActionItems() {
+        return this._rowActions;
+    }
+
+    /**
+     * Parses rowActions. An action without a name uses its label as the name;
+     * entries with neither are skipped.
+     */
+    _parseRowActions(json) {
+        if (!json) return [];
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch (e) {
+            return [];
+        }
+        if (!Array.isArray(parsed)) return [];
+
+        return parsed
+            .filter(action => action && (action.name || action.label))
+            .map((action, index) => {
+                const name = String(action.name || action.label).trim();
+                return {
+                    key: `action-${index}`,
+                    name: name,
+                    label: String(action.label || action.name).trim(),
+                    iconName: action.iconName || null,
+                    navigateNext: action.navigateNext === true
+                };
+            });
+    }
+
+    handleRowActionClick(event) {
+        // The button sits in the row; using it shouldn't toggle the row's selection
+        event.stopPropagation();
+        this._runRowAction(event.currentTarget.dataset.recordId, event.currentTarget.dataset.actionName);
+    }
+
+    handleRowActionMenuClick(event) {
+        event.stopPropagation();
+    }
+
+    handleRowActionSelect(event) {
+        this._runRowAction(event.currentTarget.dataset.recordId, event.detail.value);
+    }
+
+    /**
+     * Sets actionName and actionRecord, then moves the flow on when the action
+     * says so. Navigating runs validate() like the footer buttons do.
+     */
+    _runRowAction(recordKey, actionName) {
+        if (this._commitActiveEdit()) return;
+
+        const action = this._rowActions.find(a => a.name === actionName);
+        const record = this._findRecord(recordKey);
+        if (!action || !record) return;
+
+        this.dispatchEvent(
+            new FlowAttributeChangeEvent('actionName', action.name)
+        );
+        this.dispatchEvent(
+            new FlowAttributeChangeEvent('actionRecord', this._getOutputRecord(record))
+        );
+
+        if (action.navigateNext) {
+            const available = this.availableActions || [];
+            if (available.includes('NEXT')) {
+                this.dispatchEvent(new FlowNavigationNextEvent());
+            } else if (available.includes('FINISH')) {
+                this.dispatchEvent(new FlowNavigationFinishEvent());
+            }
+        }
+    }
+
+    // Added rows are output with their current values
+    _getOutputRecord(record) {
+        return this._isAddedRecord(record) ? this._getAddedRecordValues(record) : record;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Conditional formatting
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Parses formattingRules. Rules without a field or operator are skipped, and
+     * colors that aren't plain CSS colors are dropped so a rule can't inject styles.
+     */
+    _parseFormattingRules(json) {
+        if (!json) return [];
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch (e) {
+            return [];
+        }
+        if (!Array.isArray(parsed)) return [];
+
+        return parsed
+            .filter(rule => rule && rule.field && rule.operator)
+            .map(rule => {
+                const style = {};
+                if (rule.textColor && CSS_COLOR_PATTERN.test(rule.textColor)) {
+                    style.color = rule.textColor;
+                }
+                if (rule.backgroundColor && CSS_COLOR_PATTERN.test(rule.backgroundColor)) {
+                    style['background-color'] = rule.backgroundColor;
+                }
+                if (rule.bold === true) {
+                    style['font-weight'] = 'bold';
+                }
+                return {
+                    field: String(rule.field).trim(),
+                    operator: rule.operator,
+                    value: rule.value,
+                    value2: rule.value2,
+                    isRowRule: rule.target === RULE_TARGET_ROW,
+                    style,
+                    iconName: rule.iconName || null,
+                    label: rule.label || null
+                };
+            });
+    }
+
+    /**
+     * Applies the rules that match a row to its cells (cellStyle, ruleIconName)
+     * and returns the row's style. Rules see the values the row shows, unsaved
+     * edits included. When several rules match, later rules win for the same
+     * style; a row rule's icon goes on the row's first cell.
+     */
+    _applyFormattingRules(record, columns, cells, isSelected) {
+        if (this._formattingRules.length === 0) return null;
+
+        const rowStyle = {};
+        const cellStyles = cells.map(() => ({}));
+        this._formattingRules.forEach(rule => {
+            const colIndex = columns.findIndex(col => col.fieldApiName.toLowerCase() === rule.field.toLowerCase());
+            const value = colIndex !== -1 ? cells[colIndex].value : this._getCurrentFieldValue(record, rule.field);
+            const dataType = colIndex !== -1 ? columns[colIndex].dataType : null;
+            if (!this._matchesRule(rule, value, dataType)) return;
+
+            const iconIndex = rule.isRowRule ? 0 : colIndex;
+            if (rule.isRowRule) {
+                Object.assign(rowStyle, rule.style);
+            } else if (colIndex !== -1) {
+                Object.assign(cellStyles[colIndex], rule.style);
+            }
+            if (rule.iconName && iconIndex !== -1 && cells[iconIndex]) {
+                cells[iconIndex].ruleIconName = rule.iconName;
+                cells[iconIndex].ruleIconLabel = rule.label || rule.field;
+            }
+        });
+
+        // Rule styles go after the column's alignment and frozen offset
+        cells.forEach((cell, index) => {
+            const ruleStyle = this._toStyleText(cellStyles[index]);
+            if (ruleStyle) {
+                cell.cellStyle = cell.cellStyle ? `${cell.cellStyle} ${ruleStyle}` : ruleStyle;
+            }
+        });
+        if (isSelected) {
+            delete rowStyle['background-color'];
+        }
+        return this._toStyleText(rowStyle);
+    }
+
+    // A field's value including an unsaved edit, for fields that may not be columns
+    _getCurrentFieldValue(record, fieldName) {
+        const edits = this._editedRecordMap.get(this._getRecordKey(record));
+        if (edits) {
+            const editKey = Object.keys(edits).find(k => k.toLowerCase() === fieldName.toLowerCase());
+            if (editKey) return edits[editKey];
+        }
+        return this.getFieldValue(record, fieldName);
+    }
+
+    _matchesRule(rule, value, dataType) {
+        const isBlank = value == null || value === '';
+        if (rule.operator === 'isBlank') return isBlank;
+        if (rule.operator === 'isNotBlank') return !isBlank;
+        if (isBlank) return false;
+
+        const isDate = dataType === 'DATE' || dataType === 'DATETIME' ||
+            (!dataType && typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value));
+        const isNumber = NUMBER_TYPES.has(dataType) || (!dataType && typeof value === 'number');
+
+        // Dates compare as "YYYY-MM-DD" in the user's time zone, like the date filters
+        if (isDate) {
+            const day = this._toFilterDate(value, dataType || (String(value).length > 10 ? 'DATETIME' : 'DATE'));
+            const today = this._toFilterDate(new Date().toISOString(), 'DATETIME');
+            const days = parseInt(rule.value, 10);
+            switch (rule.operator) {
+                case 'beforeToday': return day < today;
+                case 'today': return day === today;
+                case 'afterToday': return day > today;
+                case 'nextDays': return !isNaN(days) && day >= today && day <= this._addDays(today, days);
+                case 'lastDays': return !isNaN(days) && day <= today && day >= this._addDays(today, -days);
+                default: return this._compareRuleValues(rule, day, v => String(v).substring(0, 10));
+            }
+        }
+        if (isNumber) {
+            return this._compareRuleValues(rule, Number(value), v => (v === '' || v == null ? NaN : Number(v)));
+        }
+        if (dataType === 'BOOLEAN' || typeof value === 'boolean') {
+            const flag = value === true || value === 'true';
+            const expected = rule.value === true || String(rule.value).toLowerCase() === 'true';
+            if (rule.operator === 'equals') return flag === expected;
+            if (rule.operator === 'notEquals') return flag !== expected;
+            return false;
+        }
+        return this._compareRuleValues(rule, String(value).toLowerCase(), v => (v == null ? '' : String(v).toLowerCase()));
+    }
+
+    /**
+     * Equality, contains and range operators on values already converted to one
+     * comparable form; toComparable converts the rule's own values the same way.
+     */
+    _compareRuleValues(rule, value, toComparable) {
+        const target = toComparable(rule.value);
+        switch (rule.operator) {
+            case 'equals': return value === target;
+            case 'notEquals': return value !== target;
+            case 'contains': return String(value).toLowerCase().includes(String(rule.value == null ? '' : rule.value).toLowerCase());
+            case 'greaterThan': return value > target;
+            case 'lessThan': return value < target;
+            case 'between': {
+                if (rule.value2 == null || rule.value2 === '') return false;
+                const upper = toComparable(rule.value2);
+                return value >= target && value <= upper;
+            }
+            default: return false;
+        }
+    }
+
+    // "YYYY-MM-DD" plus a number of days
+    _addDays(day, days) {
+        const [year, month, date] = day.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, date + days)).toISOString().substring(0, 10);
+    }
+
+    _toStyleText(style) {
+        const text = Object.keys(style).map(prop => `${prop}: ${style[prop]};`).join(' ');
+        return text || null;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Undo/redo and change tracking
+    // ─────────────────────────────────────────────────────────────────
+
+    get showEditBar() {
+        return (this.canInlineEdit || this.allowDeleteRows) && this.showTable &&
+            (this.hasChanges || this.canUndo || this.canRedo || !!this._saveMessage);
+    }
+
+    get hasChanges() {
+        return this._editedRecordMap.size > 0 || this._addedRecords.length > 0 || this._deletedIds.size > 0;
+    }
+
+    get canUndo() {
+        return this._undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this._redoStack.length > 0;
+    }
+
+    get isUndoDisabled() {
+        return this._isSaving || !this.canUndo;
+    }
+
+    get isRedoDisabled() {
+        return this._isSaving || !this.canRedo;
+    }
+
+    get isDiscardDisabled() {
+        return this._isSaving || !this.hasChanges;
+    }
+
+    /**
+     * e.g. "2 records changed (3 fields), 1 added, 1 deleted". Added rows are
+     * counted as added rather than changed, whatever has been typed into them.
+     */
+    get changeSummaryText() {
+        let recordCount = 0;
+        let fieldCount = 0;
+        this._editedRecordMap.forEach((edits, recordId) => {
+            if (this._isNewRowKey(recordId)) return;
+            recordCount++;
+            fieldCount += Object.keys(edits).length;
+        });
+
+        const parts = [];
+        if (recordCount > 0) {
+            const records = recordCount === 1 ? '1 record' : `${recordCount} records`;
+            const fields = fieldCount === 1 ? '1 field' : `${fieldCount} fields`;
+            parts.push(`${records} changed (${fields})`);
+        }
+        if (this._addedRecords.length > 0) {
+            parts.push(`${this._addedRecords.length} added`);
+        }
+        if (this._deletedIds.size > 0) {
+            parts.push(`${this._deletedIds.size} deleted`);
+        }
+        return parts.join(', ');
+    }
+
+    _getHistorySnapshot() {
+        return { edits: this._editedRecordMap, added: this._addedRecords, deleted: this._deletedIds };
+    }
+
+    /**
+     * Call before changing edits, added rows or deleted rows. A new change
+     * starts a new branch, so whatever could be redone is dropped.
+     */
+    _recordHistory() {
+        const undoStack = [...this._undoStack, this._getHistorySnapshot()];
+        this._undoStack = undoStack.length > HISTORY_LIMIT ? undoStack.slice(-HISTORY_LIMIT) : undoStack;
+        this._redoStack = [];
+    }
+
+    /**
+     * Puts the table back to a snapshot: cell errors are rebuilt from its edits,
+     * rows that no longer exist lose their selection, and every output is updated.
+     */
+    _applyHistorySnapshot(snapshot) {
+        const addedChanged = snapshot.added !== this._addedRecords;
+        const deletedChanged = snapshot.deleted !== this._deletedIds;
+
+        this._editingCell = null;
+        this._editedRecordMap = snapshot.edits;
+        this._addedRecords = snapshot.added;
+        this._deletedIds = snapshot.deleted;
+        this._saveMessage = null;
+
+        const keptSelection = [...this._selectedIds].filter(key => this._findRecord(key));
+        const selectionChanged = keptSelection.length !== this._selectedIds.size;
+        if (selectionChanged) {
+            this._selectedIds = new Set(keptSelection);
+        }
+
+        this._cellErrors = new Map();
+        const columns = this.processedColumns;
+        const columnsByField = this._getColumnsByEditField(columns);
+        this._editedRecordMap.forEach((edits, recordId) => {
+            Object.keys(edits).forEach(fieldName => {
+                this._setCellError(recordId, fieldName,
+                    this._validateEditValue(fieldName, edits[fieldName], recordId, columnsByField.get(fieldName) || null));
+                this._revalidateDependentFields(recordId, fieldName, columns);
+            });
+        });
+
+        if (addedChanged) {
+            this.updateAddedOutputs();
+        }
+        if (deletedChanged) {
+            this.updateDeletedOutputs();
+        }
+        if (selectionChanged) {
+            this.updateSelectionOutputs();
+        } else {
+            this.updateEditOutputs();
+        }
+    }
+
+    handleUndo() {
+        // An open editor is committed first, so undo takes back that edit
+        if (this._commitActiveEdit() || !this.canUndo) return;
+        const snapshot = this._undoStack[this._undoStack.length - 1];
+        this._undoStack = this._undoStack.slice(0, -1);
+        this._redoStack = [...this._redoStack, this._getHistorySnapshot()];
+        this._applyHistorySnapshot(snapshot);
+    }
+
+    handleRedo() {
+        if (this._commitActiveEdit() || !this.canRedo) return;
+        const snapshot = this._redoStack[this._redoStack.length - 1];
+        this._redoStack = this._redoStack.slice(0, -1);
+        this._undoStack = [...this._undoStack, this._getHistorySnapshot()];
+        this._applyHistorySnapshot(snapshot);
+    }
+
+    /**
+     * Ctrl+Z / Cmd+Z undoes; Ctrl+Y, Ctrl+Shift+Z and Cmd+Shift+Z redo. Left
+     * alone while a cell or the mass update dialog is open, so the editor's own
+     * text undo still works.
+     */
+    handleTableKeydown(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        if (this._editingCell || this._bulkEdit) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.handleUndo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            this.handleRedo();
+        }
+    }
+
+    /**
+     * Drops a row's edits. An added row goes back to its defaults; it stays in
+     * the table (deleting it is a separate action).
+     */
+    handleRevertRow(event) {
+        // The button sits in the row; reverting shouldn't toggle its selection
+        event.stopPropagation();
+        const key = event.currentTarget.dataset.recordId;
+        if (!this._editedRecordMap.has(key)) return;
+
+        this._recordHistory();
+        const edits = new Map(this._editedRecordMap);
+        edits.delete(key);
+        this._applyHistorySnapshot({ ...this._getHistorySnapshot(), edits });
+        this._clearRowSaveErrors(key);
+    }
+
+    /**
+     * Drops every edit, removes added rows and brings back deleted ones. Goes on
+     * the undo stack like any other change.
+     */
+    handleDiscardChanges() {
+        if (!this.hasChanges) return;
+        this._recordHistory();
+        this._saveErrors = new Map();
+        this._applyHistorySnapshot({ edits: new Map(), added: [], deleted: new Set() });
+    }
+
+    _clearRowSaveErrors(recordId) {
+        if (!this._saveErrors.has(recordId)) return;
+        const errors = new Map(this._saveErrors);
+        errors.delete(recordId);
+        this._saveErrors = errors;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Direct save (Save to Database mode)
+    // ─────────────────────────────────────────────────────────────────
+
+    // Existing records with edits, scoped like editedRecords (only selected rows in
+    // selection modes); added rows go to the flow instead of being saved here
+    get _unsavedRecordIds() {
+        const recordIds = [];
+        this._editedRecordMap.forEach((edits, recordId) => {
+            if (this._isNewRowKey(recordId)) return;
+            if (this.isSelectable && !this._selectedIds.has(recordId)) return;
+            recordIds.push(recordId);
+        });
+        return recordIds;
+    }
+
+    get isSaveDisabled() {
+        return this._isSaving || this._unsavedRecordIds.length === 0;
+    }
+
+    /**
+     * Commits pending edits through FlowDatatableService.saveRecords. Rows that
+     * save are cleared from _editedRecordMap and keep their new values; rows that
+     * fail stay edited, with the errors shown on the offending cells.
+     */
+    async handleSaveEdits() {
+        const commitError = this._commitActiveEdit();
+        if (commitError) {
+            this._saveMessage = commitError;
+            return;
+        }
+        if (this._cellErrors.size > 0) {
+            this._saveMessage = 'Fix the highlighted cells before saving.';
+            return;
+        }
+
+        const toSave = this._unsavedRecordIds.map(recordId => ({
+            sobjectType: this.objectApiName,
+            Id: recordId,
+            ...this._editedRecordMap.get(recordId)
+        }));
+        if (toSave.length === 0) return;
+
+        this._isSaving = true;
+        this._saveMessage = null;
+
+        try {
+            const results = await saveRecords({ records: toSave });
+            this._applySaveResults(results, toSave);
+        } catch (error) {
+            this._saveMessage = 'Save failed: ' + this.normalizeError(error);
+        } finally {
+            this._isSaving = false;
+        }
+    }
+
+    _mergeSavedValues(record, values) {
+        const merged = { ...record, ...values };
+
+        // Lookup name columns read through the relationship (e.g. Account.Name),
+        // so point it at the newly picked record too
+        this.processedColumns.forEach(col => {
+            if (!col.isLookupName || !values.hasOwnProperty(col.editFieldName)) return;
+            const [relationshipName, nameField] = col.fieldApiName.split('.');
+            const newId = values[col.editFieldName];
+            merged[relationshipName] = newId
+                ? { Id: newId, [nameField]: this._lookupNameCache.get(newId) }
+                : null;
+        });
+        return merged;
+    }
+
+    _applySaveResults(results, savedRecords) {
+        const savedValues = new Map();
+        // Rows left out of this save (unselected ones) keep their earlier errors
+        const newErrors = new Map(this._saveErrors);
+        savedRecords.forEach(record => newErrors.delete(record.Id));
+        const newEditMap = new Map(this._editedRecordMap);
+
+        results.forEach((result, index) => {
+            const recordId = result.recordId || savedRecords[index].Id;
+            if (result.success) {
+                savedValues.set(recordId, this._editedRecordMap.get(recordId));
+                newEditMap.delete(recordId);
+                return;
+            }
+
+            const rowMessages = [];
+            const fieldMessages = {};
+            (result.errors || []).forEach(err => {
+                const fields = (err.fields || []).filter(f => f);
+                if (fields.length === 0) {
+                    rowMessages.push(err.message);
+                } else {
+                    fields.forEach(f => {
+                        fieldMessages[this._matchColumnField(f)] = err.message;
+                    });
+                }
+            });
+            newErrors.set(recordId, { rowMessages, fieldMessages });
+        });
+
+        // Saved rows now show their new values as the originals
+        if (savedValues.size > 0) {
+            this._records = this.safeRecords.map(r =>
+                r && savedValues.has(r.Id) ? this._mergeSavedValues(r, savedValues.get(r.Id)) : r
+            );
+            // Query mode also holds saved rows from other pages
+            savedValues.forEach((values, recordId) => {
+                const cached = this._queryRecordCache.get(recordId);
+                if (cached) {
+                    this._queryRecordCache.set(recordId, this._mergeSavedValues(cached, values));
+                }
+            });
+        }
+
+        this._editedRecordMap = newEditMap;
+        this._saveErrors = newErrors;
+        // Saved values are the new originals; undoing past them would re-apply stale edits
+        this._undoStack = [];
+        this._redoStack = [];
+        this.updateEditOutputs();
+
+        const savedCount = savedValues.size;
+        const failedCount = results.length - savedCount;
+        if (failedCount > 0) {
+            this._saveMessage = `${savedCount} saved, ${failedCount} failed. Fix the highlighted cells and save again.`;
+        } else {
+            this._saveMessage = savedCount === 1 ? '1 record saved.' : `${savedCount} records saved.`;
+        }
+    }
+
+    /**
+     * DML errors name fields by API name in their canonical case; map them back to
+     * the column's configured field name so the error lands on the right cell.
+     */
+    _matchColumnField(fieldName) {
+        const match = this._columnMetadata.find(c =>
+            c.fieldApiName && c.fieldApiName.toLowerCase() === fieldName.toLowerCase()
+        );
+        return match ? match.fieldApiName : fieldName;
+    }
+
+    _clearSaveError(recordId, fieldName) {
+        const existing = this._saveErrors.get(recordId);
+        if (!existing || !existing.fieldMessages[fieldName]) return;
+
+        const fieldMessages = { ...existing.fieldMessages };
+        delete fieldMessages[fieldName];
+
+        const newErrors = new Map(this._saveErrors);
+        if (Object.keys(fieldMessages).length === 0 && existing.rowMessages.length === 0) {
+            newErrors.delete(recordId);
+        } else {
+            newErrors.set(recordId, { ...existing, fieldMessages });
+        }
+        this._saveErrors = newErrors;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Search handling
+    // ─────────────────────────────────────────────────────────────────
+
+    handleSearchChange(event) {
+        this._searchTerm = event.target.value || '';
+        this._resetScrollPosition();
+        if (this.isQueryMode) {
+            clearTimeout(this._querySearchTimeout);
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            this._querySearchTimeout = setTimeout(() => {
+                this._loadQueryPage();
+            }, QUERY_SEARCH_DELAY);
+        }
+    }
+
+    handleClearSearch() {
+        this._searchTerm = '';
+        this._resetScrollPosition();
+        this._reloadQuery();
+    }
+
+    /**
+     * The search box parsed into lowercased terms that must all match:
+     * words, "quoted phrases", and Field:value or Field:"a phrase" for one
+     * column. Field can be a column's API name or its label without spaces;
+     * an unknown field is searched as plain text. Cached per search text.
+     */
+    get _searchTerms() {
+        const cache = this._rowCache;
+        if (cache.searchTermsText === this._searchTerm && cache.searchTermsColumns === this._columnMetadata) {
+            return cache.searchTerms;
+        }
+
+        // Columns are only needed to parse a new search (processedColumns rebuilds them)
+        const columns = this.processedColumns;
+        const terms = [];
+        const pattern = /(?:([^\s:"]+):)?(?:"([^"]*)"?|(\S+))/g;
+        let match;
+        while ((match = pattern.exec(this._searchTerm)) !== null) {
+            const [token, fieldName, phrase, word] = match;
+            const value = phrase != null ? phrase : word;
+            const col = fieldName ? this._findSearchColumn(columns, fieldName) : null;
+            const text = (fieldName && !col ? token : value || '').trim().toLowerCase();
+            if (text) {
+                terms.push({ text, col });
+            }
+        }
+
+        cache.searchTermsText = this._searchTerm;
+        cache.searchTermsColumns = this._columnMetadata;
+        cache.searchTerms = terms;
+        return terms;
+    }
+
+    _findSearchColumn(columns, fieldName) {
+        const name = fieldName.toLowerCase();
+        return columns.find(col =>
+            col.fieldApiName.toLowerCase() === name ||
+            col.label.replace(/\s+/g, '').toLowerCase() === name
+        ) || null;
+    }
+
+    /**
+     * What search matches in a cell: the text the cell shows (picklist labels,
+     * formatted dates and currency, rich text without its tags) and the raw value.
+     */
+    _getSearchText(record, col) {
+        const { rawValue, displayValue } = this._getCellValue(record, col, { ignoreEdits: true });
+        const shown = col.isHtmlFormatted ? String(displayValue).replace(/<[^>]*>/g, ' ') : displayValue;
+        return rawValue == null ? shown.toLowerCase() : `${shown}\n${rawValue}`.toLowerCase();
+    }
+
+    /**
+     * Splits a cell's text into { key, text, className } parts with the search
+     * terms (from _searchTerms) that apply to its column highlighted. Text with
+     * no match is a single plain part, so the template renders every text cell
+     * the same way.
+     */
+    _getTextSegments(text, col, searchTerms) {
+        const plain = [{ key: 'segment-0', text, className: null }];
+        const terms = searchTerms
+            .filter(term => (term.col ? term.col.key === col.key : col.isSearchable))
+            .map(term => term.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (terms.length === 0 || !text) return plain;
+
+        const parts = String(text).split(new RegExp(`(${terms.join('|')})`, 'gi'));
+        if (parts.length === 1) return plain;
+        return parts
+            .map((part, index) => ({
+                key: `segment-${index}`,
+                text: part,
+                // split() puts the captured matches at the odd indexes
+                className: index % 2 === 1 ? 'search-highlight' : null
+            }))
+            .filter(segment => segment.text);
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Footer aggregates
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Parses columnAggregates, e.g. "Amount:SUM,Probability:AVG", into one entry per
+     * column that has an aggregate, in the order given (which is also the order of
+     * the aggregate1..aggregate5 outputs).
+     */
+    get _aggregateSpecs() {
+        if (!this.columnAggregates) return [];
+        const columns = this.processedColumns;
+        const specs = [];
+        this.columnAggregates.split(',').forEach(part => {
+            const [fieldName, fn] = part.split(':').map(p => (p || '').trim());
+            const func = (fn || '').toUpperCase();
+            if (!fieldName || !AGGREGATE_LABELS[func]) return;
+            const col = columns.find(c => c.fieldApiName.toLowerCase() === fieldName.toLowerCase());
+            if (col) {
+                specs.push({ col, func });
+            }
+        });
+        return specs;
+    }
+
+    get _aggregateRows() {
+        if (this.aggregateScope === AGGREGATE_SCOPE_FILTERED) {
+            return this._filteredSortedRecords;
+        }
+        if (this.aggregateScope === AGGREGATE_SCOPE_SELECTED) {
+            return this._getSelectedRecords();
+        }
+        return this._tableRecords;
+    }
+
+    /**
+     * Computes each aggregate over the rows in scope, using unsaved inline edits
+     * where a row has them. Blank values are skipped; an aggregate with no values
+     * is null (except COUNT, which is 0). The footer and the Flow outputs both read
+     * this on every render, so it's cached in _rowCache until the rows in scope,
+     * their edits or the aggregate settings change.
+     */
+    _computeAggregates() {
+        const cache = this._rowCache;
+        // Selected rows are gathered afresh on each call, so they're keyed on the selection
+        const scopeKey = this.aggregateScope === AGGREGATE_SCOPE_SELECTED ? this._selectedIds : this._aggregateRows;
+        if (cache.aggregateScopeKey === scopeKey &&
+            cache.aggregateRecords === this._tableRecords &&
+            cache.aggregateEdits === this._editedRecordMap &&
+            cache.aggregateColumns === this._columnMetadata &&
+            cache.aggregateSettings === `${this.columnAggregates}|${this.aggregateScope}`) {
+            return cache.aggregates;
+        }
+
+        const specs = this._aggregateSpecs;
+        const rows = specs.length > 0 ? this._aggregateRows : [];
+        const aggregates = specs.map(({ col, func }) => ({ col, func, ...this._aggregate(rows, col, func) }));
+
+        cache.aggregateScopeKey = scopeKey;
+        cache.aggregateRecords = this._tableRecords;
+        cache.aggregateEdits = this._editedRecordMap;
+        cache.aggregateColumns = this._columnMetadata;
+        cache.aggregateSettings = `${this.columnAggregates}|${this.aggregateScope}`;
+        cache.aggregates = aggregates;
+        return aggregates;
+    }
+
+    /**
+     * Aggregates one column over records, returning { value, currencyCode,
+     * isMixedCurrency }. Amounts in different currencies can't be added or
+     * compared without conversion rates, so when the rows' currencies differ
+     * every aggregate except COUNT is null and isMixedCurrency is set.
+     */
+    _aggregate(records, col, func) {
+        const values = [];
+        const currencyCodes = new Set();
+        records.forEach(record => {
+            const edits = this._editedRecordMap.get(this._getRecordKey(record));
+            const raw = edits && edits.hasOwnProperty(col.editFieldName)
+                ? edits[col.editFieldName]
+                : this.getFieldValue(record, col.fieldApiName);
+            if (raw == null || raw === '') return;
+            const num = Number(raw);
+            if (isFinite(num)) {
+                values.push(num);
+                if (col.dataType === 'CURRENCY') {
+                    currencyCodes.add(this._getCurrencyCode(record, col));
+                }
+            }
+        });
+
+        const currencyCode = currencyCodes.size === 1 ? [...currencyCodes][0] : null;
+        if (func === 'COUNT') return { value: values.length, currencyCode };
+        if (currencyCodes.size > 1) return { value: null, currencyCode, isMixedCurrency: true };
+        const value = this._reduceValues(values, func);
+        return { value: this._roundAggregate(value, this._getAggregateScale(col, func)), currencyCode };
+    }
+
+    // Decimal places of an aggregate: the column's scale, except that averages of
+    // whole numbers (or of columns without a scale) get two
+    _getAggregateScale(col, func) {
+        if (func === 'AVG' && (col.dataType === 'INTEGER' || col.scale == null)) return 2;
+        return col.scale;
+    }
+
+    // Sums of decimals pick up floating-point noise (0.1 + 0.2), so aggregates are
+    // rounded to their scale before they're shown or sent to Flow
+    _roundAggregate(value, scale) {
+        if (value == null || scale == null || scale < 0) return value;
+        const factor = Math.pow(10, scale);
+        return Math.round(value * factor) / factor;
+    }
+
+    _reduceValues(values, func) {
+        if (values.length === 0) return null;
+        if (func === 'SUM') return values.reduce((a, b) => a + b, 0);
+        if (func === 'AVG') return values.reduce((a, b) => a + b, 0) / values.length;
+        if (func === 'MIN') return Math.min(...values);
+        if (func === 'MAX') return Math.max(...values);
+        return null;
+    }
+
+    get showAggregateFooter() {
+        return this._aggregateSpecs.length > 0 && this.hasRecords;
+    }
+
+    /**
+     * Footer cells, one per column, lined up under the data columns.
+     */
+    get aggregateFooterCells() {
+        const aggregates = this._computeAggregates();
+        return this.processedColumns.map(col => {
+            const aggregate = aggregates.find(a => a.col.fieldApiName === col.fieldApiName);
+            const cell = {
+                key: `agg-${col.key}`,
+                className: col.isFrozen ? 'aggregate-cell frozen-col' : 'aggregate-cell',
+                style: col.cellLayoutStyle
+            };
+            if (!aggregate) {
+                return { ...cell, hasValue: false };
+            }
+            return {
+                ...cell,
+                hasValue: true,
+                label: AGGREGATE_LABELS[aggregate.func],
+                displayValue: this._formatAggregate(aggregate)
+            };
+        });
+    }
+
+    get aggregateLeadingColumnCount() {
+        return this._leadingColumnCount;
+    }
+
+    get hasAggregateLeadingColumns() {
+        return this.aggregateLeadingColumnCount > 0;
+    }
+
+    _formatAggregate({ col, func, value, currencyCode, isMixedCurrency }) {
+        if (isMixedCurrency) return 'Mixed currencies';
+        if (value == null) return '—';
+        if (func === 'COUNT') return String(value);
+        // Averages of whole numbers still need decimals, as many as they have
+        const isWholeNumberAverage = func === 'AVG' && col.dataType === 'INTEGER';
+        return this.formatValue(value, col.dataType, {
+            scale: isWholeNumberAverage ? null : col.scale,
+            currencyCode
+        });
+    }
+
+    _publishAggregates() {
+        const aggregates = this._computeAggregates();
+        for (let i = 0; i < AGGREGATE_OUTPUT_COUNT; i++) {
+            const name = `aggregate${i + 1}`;
+            const value = aggregates[i] ? aggregates[i].value : null;
+            const previous = this._publishedAggregates.hasOwnProperty(name) ? this._publishedAggregates[name] : null;
+            if (previous !== value) {
+                this._publishedAggregates[name] = value;
+                this.dispatchEvent(new FlowAttributeChangeEvent(name, value));
+            }
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Row grouping
+    // ─────────────────────────────────────────────────────────────────
+
+    _getGroupKey(record) {
+        const value = this.getFieldValue(record, this._groupByField);
+        // Case-insensitive, matching the collator the group sort uses
+        return value == null || value === '' ? '' : String(value).toLowerCase();
+    }
+
+    get _groupColumn() {
+        if (!this._groupByField) return null;
+        const groupField = this._groupByField.toLowerCase();
+        return this.processedColumns.find(c => c.fieldApiName.toLowerCase() === groupField) || null;
+    }
+
+    _formatGroupValue(value, col) {
+        if (value == null || value === '') return '(Blank)';
+        if (col && col.picklistValues) {
+            const match = col.picklistValues.find(pv => pv.value === value);
+            if (match) return match.label;
+        }
+        return this.formatValue(value, col ? col.dataType : null, { scale: col ? col.scale : null });
+    }
+
+    /**
+     * Maps an index into the filtered/sorted records to its display item index,
+     * expanding the record's group if it's collapsed. Returns -1 if not found.
+     */
+    _getItemIndex(recordIndex) {
+        if (!this._groupByField) return recordIndex;
+
+        const record = this._filteredSortedRecords[recordIndex];
+        if (!record) return -1;
+        const groupKey = this._getGroupKey(record);
+        if (this._collapsedGroups.has(groupKey)) {
+            const collapsed = new Set(this._collapsedGroups);
+            collapsed.delete(groupKey);
+            this._collapsedGroups = collapsed;
+        }
+        return this._displayItems.findIndex(item => item.record === record);
+    }
+
+    /**
+     * View model for a group header row. Subtotals use the column's footer
+     * aggregate when it has one, otherwise a sum for number and currency columns.
+     */
+    _buildGroupRow(group, columns) {
+        const groupCol = this._groupColumn;
+        const label = groupCol ? groupCol.label : this._groupByField;
+        const isCollapsed = this._collapsedGroups.has(group.groupKey);
+        const recordIds = group.records.map(r => this._getRecordKey(r));
+        const isAllSelected = recordIds.length > 0 && recordIds.every(id => this._selectedIds.has(id));
+
+        const aggregateFuncs = {};
+        this._aggregateSpecs.forEach(spec => {
+            aggregateFuncs[spec.col.fieldApiName] = spec.func;
+        });
+
+        const cells = columns.map((col, colIndex) => {
+            const cell = {
+                key: `group-${group.groupKey}-${colIndex}`,
+                className: col.isFrozen ? 'group-cell frozen-col' : 'group-cell',
+                style: col.cellLayoutStyle,
+                isGroupLabel: colIndex === 0,
+                hasSubtotal: false
+            };
+            if (colIndex === 0 || !this.showGroupSubtotals) return cell;
+
+            const func = aggregateFuncs[col.fieldApiName] ||
+                (col.dataType === 'INTEGER' || col.dataType === 'DOUBLE' || col.dataType === 'CURRENCY' ? 'SUM' : null);
+            if (!func) return cell;
+
+            return {
+                ...cell,
+                hasSubtotal: true,
+                subtotalLabel: AGGREGATE_LABELS[func],
+                displayValue: this._formatAggregate({ col, func, ...this._aggregate(group.records, col, func) })
+            };
+        });
+
+        return {
+            key: `group-${group.groupKey}`,
+            isGroupHeader: true,
+            groupKey: group.groupKey,
+            label: `${label}: ${this._formatGroupValue(group.value, groupCol)}`,
+            countText: `(${group.records.length})`,
+            toggleIcon: isCollapsed ? 'utility:chevronright' : 'utility:chevrondown',
+            toggleLabel: isCollapsed ? 'Expand group' : 'Collapse group',
+            ariaExpanded: isCollapsed ? 'false' : 'true',
+            isAllSelected: isAllSelected,
+            isSelectionDisabled: !isAllSelected && this.isMaxSelectionReached,
+            cells: cells
+        };
+    }
+
+    handleGroupToggle(event) {
+        const groupKey = event.currentTarget.dataset.groupKey;
+        const collapsed = new Set(this._collapsedGroups);
+        if (collapsed.has(groupKey)) {
+            collapsed.delete(groupKey);
+        } else {
+            collapsed.add(groupKey);
+        }
+        this._collapsedGroups = collapsed;
+    }
+
+    handleGroupSelect(event) {
+        if (!this.isMultiSelect) return;
+        const groupKey = event.currentTarget.dataset.groupKey;
+        const group = this._displayItems.find(item => item.isGroup && item.groupKey === groupKey);
+        if (!group) return;
+
+        const recordIds = group.records.map(r => this._getRecordKey(r));
+        const newSelectedIds = new Set(this._selectedIds);
+        if (recordIds.every(id => newSelectedIds.has(id))) {
+            recordIds.forEach(id => newSelectedIds.delete(id));
+        } else {
+            // Stop at maxSelections, like select all
+            const max = this._maxSelectionLimit;
+            for (const id of recordIds) {
+                if (max != null && newSelectedIds.size >= max) break;
+                newSelectedIds.add(id);
+            }
+        }
+
+        this._selectedIds = newSelectedIds;
+        this.updateSelectionOutputs();
+    }
+
+    _setGroupByField(fieldName) {
+        this._groupByField = fieldName || null;
+        this._collapsedGroups = new Set();
+        this._resetScrollPosition();
+        // Grouping sorts by the group field, which query mode does on the server
+        this._reloadQuery();
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Header menu
+    // ─────────────────────────────────────────────────────────────────
+
+    _getHeaderMenuItems(col, label, isEditable) {
+        const isGroupedByColumn = !!this._groupByField &&
+            this._groupByField.toLowerCase() === col.fieldApiName.toLowerCase();
+        const items = [];
+        if (isEditable) {
+            items.push({ key: 'bulk-edit', label: 'Mass update...', value: 'bulk-edit' });
+        }
+        if (isGroupedByColumn) {
+            items.push({ key: 'ungroup', label: 'Remove grouping', value: 'ungroup' });
+        } else {
+            items.push({ key: 'group', label: `Group by ${label}`, value: 'group' });
+            if (this._groupByField) {
+                items.push({ key: 'ungroup', label: 'Remove grouping', value: 'ungroup' });
+            }
+        }
+        return items;
+    }
+
+    handleHeaderMenuSelect(event) {
+        const action = event.detail.value;
+        const fieldName = event.currentTarget.dataset.fieldName;
+
+        if (action === 'bulk-edit') {
+            this._openBulkEdit(fieldName);
+        } else if (action === 'group') {
+            this._setGroupByField(fieldName);
+        } else if (action === 'ungroup') {
+            this._setGroupByField(null);
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Mass update
+    // ─────────────────────────────────────────────────────────────────
+
+    _openBulkEdit(fieldName) {
+        // Finish any cell edit first so it isn't lost under the dialog
+        if (this._commitActiveEdit()) return;
+
+        const col = this._getColumn(fieldName);
+        if (!col || !col.isEditable) return;
+
+        const hasSelection = this.isMultiSelect && this._selectedIds.size > 0;
+        this._bulkEdit = {
+            fieldName,
+            scope: hasSelection ? 'selected' : 'filtered',
+            value: col.dataType === 'BOOLEAN' ? false : null,
+            lookupName: null,
+            error: null
+        };
+        if (col.isLookup) {
+            this._resetLookupSearch();
+        }
+
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        setTimeout(() => {
+            const input = this.template.querySelector('.bulk-edit-dialog [data-bulk-editor]');
+            if (input) input.focus();
+        }, 0);
+    }
+
+    /**
+     * The rows a mass update applies to: the selected rows (including any the
+     * search or filters hide), or every row the search and filters show.
+     */
+    _getBulkEditRecords(scope) {
+        return scope === 'selected'
+            ? this._getSelectedRecords()
+            : this._filteredSortedRecords;
+    }
+
+    get bulkEdit() {
+        if (!this._bulkEdit) return null;
+        const col = this._getColumn(this._bulkEdit.fieldName);
+        if (!col) return null;
+
+        const { scope, value, lookupName, error } = this._bulkEdit;
+        const editor = this._getEditorConfig(col);
+        const count = this._getBulkEditRecords(scope).length;
+
+        // Per-row limits (controlling field, record type) are checked on each
+        // row as the value is applied, like single-cell edits
+        let picklistOptions = [];
+        if (editor.isPicklist || editor.isMultiPicklist) {
+            picklistOptions = (col.picklistValues || []).map(pv => ({ label: pv.label, value: pv.value }));
+            if (editor.isPicklist && !col.isRequired) {
+                picklistOptions = [{ label: '--None--', value: '' }, ...picklistOptions];
+            }
+        }
+
+        const scopeOptions = this.isMultiSelect
+            ? [
+                { label: `Selected rows (${this._getBulkEditRecords('selected').length})`, value: 'selected' },
+                { label: `All rows shown (${this._getBulkEditRecords('filtered').length})`, value: 'filtered' }
+            ]
+            : null;
+
+        return {
+            ...editor,
+            title: `Mass Update: ${col.label}`,
+            label: col.label,
+            isLookup: col.isLookup,
+            editValue: editor.isPicklist && value == null ? '' : this._toEditorValue(col, value),
+            checked: value === true,
+            picklistOptions,
+            maxLength: TEXT_TYPES.has(col.dataType) && col.length > 0 ? col.length : null,
+            lookupName,
+            hasLookupValue: !!lookupName,
+            showScope: !!scopeOptions,
+            scopeOptions,
+            scope,
+            error,
+            applyLabel: count === 1 ? 'Update 1 Row' : `Update ${count} Rows`,
+            isApplyDisabled: count === 0
+        };
+    }
+
+    get showBulkLookupDropdown() {
+        return this._lookupResults.length > 0 || !!this._lookupError || this.showLookupNoResults;
+    }
+
+    handleBulkEditValueChange(event) {
+        const value = event.target.type === 'checkbox' ? event.target.checked : event.detail.value;
+        this._bulkEdit = { ...this._bulkEdit, value: value === '' ? null : value, error: null };
+    }
+
+    handleBulkEditScopeChange(event) {
+        this._bulkEdit = { ...this._bulkEdit, scope: event.detail.value };
+    }
+
+    handleBulkLookupRemove() {
+        this._bulkEdit = { ...this._bulkEdit, value: null, lookupName: null, error: null };
+    }
+
+    handleBulkEditKeydown(event) {
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            this.handleBulkEditCancel();
+        }
+    }
+
+    handleBulkEditCancel() {
+        this._bulkEdit = null;
+        this._resetLookupSearch();
+    }
+
+    handleBulkEditApply() {
+        const { fieldName, scope, value } = this._bulkEdit;
+        const col = this._getColumn(fieldName);
+        if (!col) return;
+
+        const input = this.template.querySelector('.bulk-edit-dialog [data-bulk-editor]');
+        if (input && typeof input.reportValidity === 'function' && !input.reportValidity()) {
+            return;
+        }
+
+        // Field-level checks once up front rather than flagging every row
+        const error = this._validateEditValue(
+            col.editFieldName,
+            this._serializeEditValue(col.editFieldName, value, col),
+            null,
+            col
+        );
+        if (error) {
+            this._bulkEdit = { ...this._bulkEdit, error };
+            return;
+        }
+
+        const records = this._getBulkEditRecords(scope);
+        this.saveEdits(records.map(record => ({ recordId: this._getRecordKey(record), fieldName: col.editFieldName, value })));
+
+        this._bulkEdit = null;
+        this._resetLookupSearch();
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Export
+    // ─────────────────────────────────────────────────────────────────
+
+    get showExportMenu() {
+        return this.showExport && this.hasRecords && this._metadataLoaded;
+    }
+
+    get showToolbar() {
+        return this.showSearchBar || this.showExportMenu;
+    }
+
+    get exportMenuItems() {
+        const items = [
+            { key: 'csv-visible', label: 'CSV', value: `${EXPORT_CSV}:visible`, disabled: false },
+            { key: 'xlsx-visible', label: 'Excel (.xlsx)', value: `${EXPORT_XLSX}:visible`, disabled: false }
+        ];
+        if (!this.isViewOnly) {
+            const noSelection = this._selectedIds.size === 0;
+            items.push(
+                { key: 'csv-selected', label: 'Selected rows as CSV', value: `${EXPORT_CSV}:selected`, disabled: noSelection },
+                { key: 'xlsx-selected', label: 'Selected rows as Excel (.xlsx)', value: `${EXPORT_XLSX}:selected`, disabled: noSelection }
+            );
+        }
+        return items;
+    }
+
+    handleExportSelect(event) {
+        const [format, scope] = event.detail.value.split(':');
+        const records = scope === 'selected' ? this._getSelectedRecordsInOrder() : this._filteredSortedRecords;
+        const columns = this.processedColumns;
+
+        if (format === EXPORT_XLSX) {
+            const rows = records.map(record => columns.map(col => this._toXlsxCell(record, col)));
+            const bytes = buildXlsx(this.headerText || this.objectApiName, columns.map(col => col.label), rows);
+            this._downloadFile(new Blob([bytes], { type: XLSX_MIME_TYPE }), EXPORT_XLSX);
+        } else {
+            const lines = [
+                columns.map(col => this._escapeCsv(col.label, true)),
+                ...records.map(record => columns.map(col =>
+                    this._escapeCsv(this._getCellValue(record, col).displayValue, CSV_TEXT_TYPES.has(col.dataType))
+                ))
+            ].map(values => values.join(','));
+            // BOM so Excel opens the file as UTF-8
+            const csv = '\uFEFF' + lines.join('\r\n');
+            this._downloadFile(new Blob([csv], { type: 'text/csv;charset=utf-8' }), EXPORT_CSV);
+        }
+    }
+
+    /**
+     * Selected rows in the table's current sort order, whether or not the
+     * search and filters currently show them.
+     */
+    _getSelectedRecordsInOrder() {
+        const selected = this._getSelectedRecords();
+        const sortFields = this._effectiveSortFields;
+        return sortFields.length > 0
+            ? this._sortRecords(selected, this.processedColumns, sortFields)
+            : selected;
+    }
+
+    /**
+     * Quotes a CSV value. Spreadsheets run cells starting with = + - @ (or a tab
+     * or CR) as formulas, so text values that do get a leading quote. Values of
+     * other column types, and text that reads as a number, are left as they are.
+     */
+    _escapeCsv(value, isText) {
+        let text = value == null ? '' : String(value);
+        if (isText && /^[=+\-@\t\r]/.test(text) && !CSV_NUMBER_PATTERN.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * XLSX cell for a column: numbers, currency, percents, dates and datetimes
+     * keep their type; everything else is the displayed text.
+     */
+    _toXlsxCell(record, col) {
+        const { displayRawValue, valueDataType, displayValue } = this._getCellValue(record, col);
+        if (displayRawValue == null || displayRawValue === '') {
+            return { type: 'string', value: null };
+        }
+
+        const num = Number(displayRawValue);
+        const decimals = col.scale > 0 ? '.' + '0'.repeat(col.scale) : '';
+        if (valueDataType === 'INTEGER' || valueDataType === 'DOUBLE') {
+            return isFinite(num)
+                ? { type: 'number', value: num, format: col.scale != null ? `#,##0${decimals}` : null }
+                : { type: 'string', value: displayValue };
+        }
+        if (valueDataType === 'CURRENCY') {
+            return isFinite(num)
+                ? { type: 'currency', value: num, format: this._getExcelCurrencyFormat(this._getCurrencyCode(record, col), decimals) }
+                : { type: 'string', value: displayValue };
+        }
+        if (valueDataType === 'PERCENT') {
+            return isFinite(num)
+                ? { type: 'percent', value: num / 100, format: `0${decimals}%` }
+                : { type: 'string', value: displayValue };
+        }
+        if (valueDataType === 'DATE') {
+            const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(displayRawValue));
+            return match
+                ? { type: 'date', value: toExcelSerial(Number(match[1]), Number(match[2]), Number(match[3])) }
+                : { type: 'string', value: displayValue };
+        }
+        if (valueDataType === 'DATETIME') {
+            const serial = this._toExcelDateTime(displayRawValue);
+            return serial != null ? { type: 'datetime', value: serial } : { type: 'string', value: displayValue };
+        }
+        return { type: 'string', value: displayValue };
+    }
+
+    /**
+     * Excel format code for a currency, with the symbol on the side the user's
+     * locale puts it (e.g. "€"#,##0.00 or #,##0.00 "€").
+     */
+    _getExcelCurrencyFormat(currencyCode, decimals) {
+        const number = `#,##0${decimals}`;
+        let parts;
+        try {
+            parts = this._getFormatter(Intl.NumberFormat, { style: 'currency', currency: currencyCode || CURRENCY }).formatToParts(1);
+        } catch (e) {
+            return `${number} "${String(currencyCode).replace(/"/g, '')}"`;
+        }
+        const symbolIndex = parts.findIndex(p => p.type === 'currency');
+        const symbol = `"${parts[symbolIndex].value.replace(/"/g, '')}"`;
+        return symbolIndex < parts.findIndex(p => p.type === 'integer') ? symbol + number : `${number} ${symbol}`;
+    }
+
+    // Excel datetimes have no time zone: write the wall-clock time in the user's zone
+    _toExcelDateTime(value) {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return null;
+
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: TIME_ZONE,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }).formatToParts(date).forEach(part => {
+            parts[part.type] = Number(part.value);
+        });
+        return toExcelSerial(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+    }
+
+    // Downloads through an object URL; a data: URL of a large export is too long for browsers
+    _downloadFile(blob, extension) {
+        const baseName = (this.exportFileName || this.headerText || this.objectApiName || 'Export')
+            .trim()
+            .replace(/[\\/:*?"<>|]+/g, '_')
+            .replace(new RegExp(`\\.${extension}$`, 'i'), '');
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${baseName}.${extension}`;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        // Revoked once the click has started the download
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Header filters
+    // ─────────────────────────────────────────────────────────────────
+
+    _getFilterKind(dataType) {
+        if (dataType === 'PICKLIST' || dataType === 'MULTIPICKLIST') return 'values';
+        if (dataType === 'DATE' || dataType === 'DATETIME') return 'date';
+        if (dataType === 'INTEGER' || DECIMAL_TYPES.has(dataType)) return 'number';
+        if (dataType === 'BOOLEAN') return 'boolean';
+        return null;
+    }
+
+    /**
+     * Parses the defaultFilters JSON, keyed by field, e.g.
+     * {"StageName": ["Prospecting"], "Amount": {"min": 1000}, "CloseDate": {"from": "2024-01-01"}, "IsActive": true}
+     * Invalid JSON is ignored rather than breaking the screen.
+     */
+    _parseFilters(json) {
+        const filters = new Map();
+        if (!json) return filters;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch (e) {
+            return filters;
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return filters;
+
+        Object.keys(parsed).forEach(fieldName => {
+            const filter = this._normalizeFilter(parsed[fieldName]);
+            if (filter != null) {
+                filters.set(fieldName.toLowerCase(), filter);
+            }
+        });
+        return filters;
+    }
+
+    /**
+     * A filter is an array of picklist values, a boolean, { min, max } for numbers
+     * or { from, to } ISO dates. Returns null for an empty or unrecognized filter.
+     */
+    _normalizeFilter(raw) {
+        if (Array.isArray(raw)) {
+            return raw.length > 0 ? raw.map(String) : null;
+        }
+        if (typeof raw === 'boolean') return raw;
+        if (typeof raw === 'string' || typeof raw === 'number') return [String(raw)];
+        if (!raw || typeof raw !== 'object') return null;
+
+        const range = {};
+        ['min', 'max'].forEach(bound => {
+            if (raw[bound] != null && raw[bound] !== '' && isFinite(Number(raw[bound]))) {
+                range[bound] = Number(raw[bound]);
+            }
+        });
+        ['from', 'to'].forEach(bound => {
+            if (raw[bound]) {
+                range[bound] = String(raw[bound]).substring(0, 10);
+            }
+        });
+        return Object.keys(range).length > 0 ? range : null;
+    }
+
+    _matchesFilter(record, col, filter) {
+        const value = this.getFieldValue(record, col.fieldApiName);
+        const isBlank = value == null || value === '';
+
+        if (col.filterKind === 'values' && Array.isArray(filter)) {
+            if (isBlank) return false;
+            const values = col.dataType === 'MULTIPICKLIST' ? String(value).split(';') : [String(value)];
+            return values.some(v => filter.includes(v));
+        }
+        if (col.filterKind === 'boolean' && typeof filter === 'boolean') {
+            return (value === true || value === 'true') === filter;
+        }
+        if (col.filterKind === 'number' && typeof filter === 'object') {
+            if (isBlank) return false;
+            const num = Number(value);
+            return (filter.min == null || num >= filter.min) && (filter.max == null || num <= filter.max);
+        }
+        if (col.filterKind === 'date' && typeof filter === 'object') {
+            if (isBlank) return false;
+            const day = this._toFilterDate(value, col.dataType);
+            return (!filter.from || day >= filter.from) && (!filter.to || day <= filter.to);
+        }
+        // A filter that doesn't fit the column's type filters nothing
+        return true;
+    }
+
+    /**
+     * Returns a date or datetime value as a "YYYY-MM-DD" string. Datetimes use the
+     * date in the user's time zone, so they compare with what the cell shows.
+     */
+    _toFilterDate(value, dataType) {
+        if (dataType !== 'DATETIME') return String(value).substring(0, 10);
+        const d = new Date(value);
+        if (isNaN(d.getTime())) return String(value).substring(0, 10);
+        // en-CA formats dates as YYYY-MM-DD
+        return d.toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+    }
+
+    get filterPills() {
+        return this.processedColumns
+            .filter(col => col.filterKind && this._columnFilters.has(col.filterKey))
+            .map(col => {
+                const description = this._describeFilter(col, this._columnFilters.get(col.filterKey));
+                return {
+                    key: `filter-${col.filterKey}`,
+                    filterKey: col.filterKey,
+                    label: `${col.label}: ${description}`
+                };
+            });
+    }
+
+    get hasFilterPills() {
+        return this.filterPills.length > 0;
+    }
+
+    _describeFilter(col, filter) {
+        if (Array.isArray(filter)) {
+            const labels = filter.map(value => {
+                const match = (col.picklistValues || []).find(pv => pv.value === value);
+                return match ? match.label : value;
+            });
+            return labels.length > 3
+                ? `${labels.slice(0, 3).join(', ')} +${labels.length - 3} more`
+                : labels.join(', ');
+        }
+        if (typeof filter === 'boolean') {
+            return filter ? 'Yes' : 'No';
+        }
+
+        const isDate = col.filterKind === 'date';
+        const low = isDate ? filter.from : filter.min;
+        const high = isDate ? filter.to : filter.max;
+        const format = v => (isDate ? this._formatFilterDate(v) : String(v));
+        if (low != null && high != null) return `${format(low)} – ${format(high)}`;
+        if (low != null) return isDate ? `on or after ${format(low)}` : `≥ ${format(low)}`;
+        return isDate ? `on or before ${format(high)}` : `≤ ${format(high)}`;
+    }
+
+    _formatFilterDate(isoDate) {
+        return this.formatValue(isoDate, 'DATE');
+    }
+
+    /**
+     * View model for the open filter panel: the column and its filter's current
+     * values, in the shape each control takes.
+     */
+    get openFilter() {
+        if (!this._openFilterField) return null;
+        const col = this.processedColumns.find(c => c.filterKey === this._openFilterField);
+        if (!col || !col.filterKind) return null;
+
+        const filter = this._columnFilters.get(col.filterKey);
+        const range = filter && typeof filter === 'object' && !Array.isArray(filter) ? filter : {};
+
+        let options = [];
+        if (col.filterKind === 'values') {
+            options = col.picklistValues && col.picklistValues.length > 0
+                ? col.picklistValues.map(pv => ({ label: pv.label, value: pv.value }))
+                : this._distinctValueOptions(col);
+        }
+
+        return {
+            title: `Filter ${col.label}`,
+            isValues: col.filterKind === 'values',
+            isDate: col.filterKind === 'date',
+            isNumber: col.filterKind === 'number',
+            isBoolean: col.filterKind === 'boolean',
+            options: options,
+            values: Array.isArray(filter) ? filter : [],
+            from: range.from || null,
+            to: range.to || null,
+            min: range.min != null ? range.min : null,
+            max: range.max != null ? range.max : null,
+            booleanValue: typeof filter === 'boolean' ? String(filter) : 'any',
+            booleanOptions: [
+                { label: 'Any', value: 'any' },
+                { label: 'Yes', value: 'true' },
+                { label: 'No', value: 'false' }
+            ]
+        };
+    }
+
+    // Picklist values for columns without describe values (e.g. some relationship paths)
+    _distinctValueOptions(col) {
+        const values = new Set();
+        this._tableRecords.forEach(record => {
+            const value = this.getFieldValue(record, col.fieldApiName);
+            if (value == null || value === '') return;
+            const parts = col.dataType === 'MULTIPICKLIST' ? String(value).split(';') : [String(value)];
+            parts.forEach(v => values.add(v));
+        });
+        return [...values].sort().map(v => ({ label: v, value: v }));
+    }
+
+    handleHeaderControlClick(event) {
+        // Filter and menu controls sit in the header cell; using them shouldn't sort the column
+        event.stopPropagation();
+    }
+
+    handleFilterToggle(event) {
+        event.stopPropagation();
+        const filterKey = event.currentTarget.dataset.filterKey;
+        this._openFilterField = this._openFilterField === filterKey ? null : filterKey;
+    }
+
+    handleFilterValuesChange(event) {
+        this._setColumnFilter(this._openFilterField, this._normalizeFilter(event.detail.value));
+    }
+
+    handleFilterRangeChange(event) {
+        const bound = event.target.dataset.bound;
+        const current = this._columnFilters.get(this._openFilterField);
+        const range = current && typeof current === 'object' && !Array.isArray(current) ? { ...current } : {};
+        range[bound] = event.detail.value;
+        this._setColumnFilter(this._openFilterField, this._normalizeFilter(range));
+    }
+
+    handleFilterBooleanChange(event) {
+        const value = event.detail.value;
+        this._setColumnFilter(this._openFilterField, value === 'any' ? null : value === 'true');
+    }
+
+    handleFilterKeydown(event) {
+        if (event.key === 'Escape') {
+            this._openFilterField = null;
+        }
+    }
+
+    handleClearOpenFilter() {
+        this._setColumnFilter(this._openFilterField, null);
+    }
+
+    handleCloseFilter() {
+        this._openFilterField = null;
+    }
+
+    handleRemoveFilter(event) {
+        this._setColumnFilter(event.currentTarget.dataset.filterKey, null);
+    }
+
+    handleClearAllFilters() {
+        this._columnFilters = new Map();
+        this._openFilterField = null;
+        this._resetScrollPosition();
+    }
+
+    _setColumnFilter(filterKey, filter) {
+        if (!filterKey) return;
+        const filters = new Map(this._columnFilters);
+        if (filter == null) {
+            filters.delete(filterKey);
+        } else {
+            filters.set(filterKey, filter);
+        }
+        this._columnFilters = filters;
+        this._resetScrollPosition();
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Sort handling
+    // ─────────────────────────────────────────────────────────────────
+
+    handleHeaderHelpClick(event) {
+        // Opening help text shouldn't sort the column
+        event.stopPropagation();
+    }
+
+    /**
+     * Click sorts by the column alone (toggling direction if it already is the only
+     * sort); shift-click adds it as the next sort level, or toggles its direction
+     * if it's already one.
+     */
+    handleSort(event) {
+        const fieldName = event.currentTarget.dataset.fieldName;
+        if (!fieldName) return;
+
+        // defaultSort names are kept as typed, so match them case-insensitively
+        const lowerName = fieldName.toLowerCase();
+        const existingIndex = this._sortFields.findIndex(sort => sort.fieldName.toLowerCase() === lowerName);
+        const toggled = sort => ({ ...sort, direction: sort.direction === 'asc' ? 'desc' : 'asc' });
+
+        if (event.shiftKey) {
+            this._sortFields = existingIndex === -1
+                ? [...this._sortFields, { fieldName, direction: 'asc', nulls: null }]
+                : this._sortFields.map((sort, i) => (i === existingIndex ? toggled(sort) : sort));
+        } else if (existingIndex !== -1 && this._sortFields.length === 1) {
+            this._sortFields = [toggled(this._sortFields[0])];
+        } else {
+            this._sortFields = [{ fieldName, direction: 'asc', nulls: null }];
+        }
+        this._resetScrollPosition();
+        this._reloadQuery();
+    }
+
+    /**
+     * Parses a sort order in SOQL ORDER BY style, e.g.
+     * "StageName ASC, Amount DESC NULLS FIRST". Direction defaults to ascending.
+     */
+    _parseSort(sortText) {
+        if (!sortText) return [];
+        return String(sortText)
+            .split(',')
+            .map(part => part.trim().split(/\s+/))
+            .filter(tokens => tokens[0])
+            .map(tokens => {
+                const modifiers = tokens.slice(1).map(t => t.toUpperCase());
+                let nulls = null;
+                if (modifiers.includes('NULLS')) {
+                    nulls = modifiers.includes('FIRST') ? NULLS_FIRST : NULLS_LAST;
+                }
+                return {
+                    fieldName: tokens[0],
+                    direction: modifiers.includes('DESC') ? 'desc' : 'asc',
+                    nulls
+                };
+            });
+    }
+
+    /**
+     * The sort levels to apply: the user's, preceded by the group field when grouped
+     * (keeping the user's direction if they already sort by it).
+     */
+    get _effectiveSortFields() {
+        if (!this._groupByField) return this._sortFields;
+
+        const groupField = this._groupByField.toLowerCase();
+        const existing = this._sortFields.find(sort => sort.fieldName.toLowerCase() === groupField);
+        const groupSort = existing || { fieldName: this._groupByField, direction: 'asc', nulls: NULLS_LAST };
+        return [groupSort, ...this._sortFields.filter(sort => sort !== existing)];
+    }
+
+    _sortRecords(rows, columns, sortFields) {
+        const collator = new Intl.Collator(LOCALE, { numeric: true, sensitivity: 'base' });
+        const sorts = sortFields.map(sort => {
+            const col = columns.find(c => c.fieldApiName.toLowerCase() === sort.fieldName.toLowerCase());
+            return {
+                ...sort,
+                col,
+                dir: sort.direction === 'desc' ? -1 : 1,
+                nullsFirst: (sort.nulls || this.sortNulls) === NULLS_FIRST
+            };
+        });
+
+        // Pre-compute sort keys once per record rather than on every comparison
+        const keyed = rows.map(record => ({
+            record,
+            keys: sorts.map(sort => this._getSortKey(record, sort))
+        }));
+
+        keyed.sort((a, b) => {
+            for (let i = 0; i < sorts.length; i++) {
+                const result = this._compareSortKeys(a.keys[i], b.keys[i], sorts[i], collator);
+                if (result !== 0) return result;
+            }
+            return 0;
+        });
+        return keyed.map(item => item.record);
+    }
+
+    /**
+     * The value a record sorts on for one sort level: picklists by label or by
+     * position in the picklist, numbers as numbers, everything else as-is.
+     * Blank values come back as null.
+     */
+    _getSortKey(record, sort) {
+        const value = this.getFieldValue(record, sort.fieldName);
+        if (value == null || value === '') return null;
+
+        const col = sort.col;
+        if (!col) return value;
+
+        if ((col.dataType === 'PICKLIST' || col.dataType === 'MULTIPICKLIST') && col.picklistValues) {
+            const values = String(value).split(';');
+            if (this.picklistSortOrder === PICKLIST_SORT_ORDER) {
+                // Unknown values (inactive or from another record type) sort after known ones
+                const position = col.picklistValues.findIndex(pv => pv.value === values[0]);
+                return position === -1 ? col.picklistValues.length : position;
+            }
+            return values.map(v => {
+                const match = col.picklistValues.find(pv => pv.value === v);
+                return match ? match.label : v;
+            }).join('; ');
+        }
+        if (col.dataType === 'INTEGER' || DECIMAL_TYPES.has(col.dataType)) {
+            return Number(value);
+        }
+        return value;
+    }
+
+    _compareSortKeys(a, b, sort, collator) {
+        // Nulls go first or last whatever the direction, like SOQL's NULLS FIRST/LAST
+        if (a == null && b == null) return 0;
+        if (a == null) return sort.nullsFirst ? -1 : 1;
+        if (b == null) return sort.nullsFirst ? 1 : -1;
+
+        let result;
+        if (typeof a === 'number' && typeof b === 'number') {
+            result = a - b;
+        } else if (typeof a === 'boolean' && typeof b === 'boolean') {
+            result = Number(a) - Number(b);
+        } else {
+            result = collator.compare(String(a), String(b));
+        }
+        return result * sort.dir;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Navigation (relationship links)
+    // ─────────────────────────────────────────────────────────────────
 
     handleRecordLink(event) {
         event.preventDefault();
         event.stopPropagation();
 
         const recordId = event.currentTarget.dataset.linkRecordId;
+        const objectApiName = event.currentTarget.dataset.linkObjectApiName;
         if (!recordId) return;
 
+        const attributes = {
+            recordId: recordId,
+            actionName: 'view'
+        };
+        if (objectApiName) {
+            attributes.objectApiName = objectApiName;
+        }
+
         this[NavigationMixin.Navigate]({
             type: 'standard__recordPage',
-            attributes: {
-                recordId: recordId,
-                actionName: 'view'
-            }
+            attributes: attributes
         });
     }
 
+    handleCellLinkClick(event) {
+        // Email, phone and URL links open on their own; they shouldn't toggle the row
+        event.stopPropagation();
+    }
+
+    /**
+     * Shows the full value of a clipped long text cell in a popover below it.
+     * Values that fit are left alone.
+     */
+    handleLongTextEnter(event) {
+        const element = event.currentTarget;
+        const record = this._findRecord(element.dataset.recordId);
+        const col = this.processedColumns.find(c => c.fieldApiName === element.dataset.fieldName);
+        if (!record || !col) return;
+
+        // Wrapped columns already show the whole value
+        const text = this._getCellValue(record, col).displayValue;
+        if (col.isWrapped || (element.scrollWidth <= element.clientWidth && !/\n/.test(text))) return;
+
+        const rect = element.getBoundingClientRect();
+        this._textPopover = {
+            text,
+            style: `top: ${Math.round(rect.bottom + 4)}px; left: ${Math.round(rect.left)}px;`
+        };
+    }
+
+    handleLongTextLeave() {
+        this._textPopover = null;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Column layout: widths, alignment, wrapping and frozen columns
+    // ─────────────────────────────────────────────────────────────────
+
+    // A per-column setting (columnWidths etc.) as a list in fieldNames order
+    _parseColumnList(value) {
+        return value ? String(value).split(',').map(item => item.trim()) : [];
+    }
+
+    _toPixels(value) {
+        const px = parseInt(value, 10);
+        return px > 0 ? px : null;
+    }
+
+    get _frozenColumnCount() {
+        return Math.max(parseInt(this.frozenColumns, 10) || 0, 0);
+    }
+
+    // A configured or dragged width puts the table in fixed layout
+    get _hasColumnWidths() {
+        return this._resizedWidths.size > 0 ||
+            this._parseColumnList(this.columnWidths).some(width => this._toPixels(width));
+    }
+
+    get _isFixedLayout() {
+        return this._hasColumnWidths && !!this._measuredWidths;
+    }
+
+    /**
+     * Styles and classes for a column's header and cells. Its width is the
+     * dragged one, else the configured one, else (in fixed layout) the one it
+     * was measured at, and never under its minimum.
+     */
+    _getColumnLayout(key, { width, minWidth, alignment, wrapping, isFrozen, left }) {
+        const min = this._toPixels(minWidth);
+        let px = this._resizedWidths.get(key) || this._toPixels(width);
+        if (!px && this._isFixedLayout) {
+            px = this._measuredWidths.get(key);
+        }
+        if (px && min) {
+            px = Math.max(px, min);
+        }
+        const align = (alignment || '').toLowerCase();
+        const wrap = (wrapping || '').toLowerCase();
+
+        const headerStyle = {};
+        const cellStyle = {};
+        if (px) {
+            headerStyle.width = `${px}px`;
+        }
+        if (min) {
+            headerStyle['min-width'] = `${min}px`;
+        }
+        if (COLUMN_ALIGNMENTS.has(align)) {
+            cellStyle['text-align'] = align;
+        }
+        if (left != null) {
+            headerStyle.left = `${left}px`;
+            cellStyle.left = `${left}px`;
+        }
+
+        let cellClass = isFrozen ? ' frozen-col' : '';
+        if (wrap === COLUMN_WRAP) {
+            cellClass += ' cell-wrap';
+        } else if (wrap === COLUMN_CLIP) {
+            cellClass += ' cell-clip';
+        }
+
+        let headerGridClass = 'slds-grid slds-grid_vertical-align-center slds-has-flexi-truncate';
+        if (align === 'right') {
+            headerGridClass += ' slds-grid_align-end';
+        } else if (align === 'center') {
+            headerGridClass += ' slds-grid_align-center';
+        }
+
+        return {
+            width: px || null,
+            minWidth: min || MIN_COLUMN_WIDTH,
+            headerStyle: this._toStyleText(headerStyle),
+            headerGridClass: headerGridClass,
+            cellStyle: this._toStyleText(cellStyle),
+            cellClass: cellClass,
+            isWrapped: wrap === COLUMN_WRAP
+        };
+    }
+
+    get tableClass() {
+        let tableClass = 'slds-table slds-table_cell-buffer slds-table_bordered slds-table_col-bordered';
+        if (this._isFixedLayout) {
+            tableClass += ' table-fixed';
+        }
+        if (this._frozenColumnCount > 0) {
+            tableClass += ' table-frozen';
+        }
+        return tableClass;
+    }
+
+    get tableStyle() {
+        const style = {};
+        if (this._isFixedLayout) {
+            // Fixed layout only applies to a table with a set width
+            const width = this.processedColumns.reduce((sum, col) => sum + (col.width || 0), 0) +
+                ['row-number', 'selection', 'row-actions']
+                    .reduce((sum, key) => sum + (this._measuredWidths.get(key) || 0), 0);
+            style.width = `${width}px`;
+        }
+        if (this._frozenColumnCount > 0 && this.isSelectable) {
+            style['--selection-col-left'] = `${this._frozenOffsets[this.showRowNumbers ? 1 : 0] || 0}px`;
+        }
+        return this._toStyleText(style);
+    }
+
+    // The actions column keeps its measured width; its buttons don't shrink
+    get rowActionHeaderStyle() {
+        const width = this._isFixedLayout ? this._measuredWidths.get('row-actions') : null;
+        return width ? `width: ${width}px;` : null;
+    }
+
+    // Header cell widths by width key, or null before the table has rendered
+    _measureColumnWidths() {
+        const cells = this.template.querySelectorAll('thead th[data-width-key]');
+        if (cells.length === 0) return null;
+        const widths = new Map();
+        cells.forEach(cell => widths.set(cell.dataset.widthKey, cell.offsetWidth));
+        return widths;
+    }
+
+    /**
+     * Frozen cells stick at the combined width of the header cells before them,
+     * known only once the table has rendered. Reassigned only when an offset
+     * changes, so the re-render it causes settles.
+     */
+    _updateFrozenOffsets() {
+        const cells = this._frozenColumnCount > 0 ? this.template.querySelectorAll('thead th') : [];
+        const frozenCellCount = Math.min(cells.length, this._leadingColumnCount + this._frozenColumnCount);
+        const offsets = [];
+        let left = 0;
+        for (let i = 0; i < frozenCellCount; i++) {
+            offsets.push(left);
+            left += cells[i].offsetWidth;
+        }
+        if (offsets.join() !== this._frozenOffsets.join()) {
+            this._frozenOffsets = offsets;
+        }
+    }
+
+    _setColumnWidth(key, width) {
+        // Columns without a width keep their current one once the table switches to fixed layout
+        if (!this._measuredWidths) {
+            this._measuredWidths = this._measureColumnWidths();
+        }
+        if (this._resizedWidths.get(key) === width) return;
+        const widths = new Map(this._resizedWidths);
+        widths.set(key, width);
+        this._resizedWidths = widths;
+    }
+
+    handleResizeStart(event) {
+        // The handle sits in the header cell; dragging it shouldn't sort or select text
+        event.preventDefault();
+        event.stopPropagation();
+        const handle = event.currentTarget;
+        const col = this.processedColumns.find(c => c.widthKey === handle.dataset.widthKey);
+        if (!col) return;
+
+        this._columnResize = {
+            key: col.widthKey,
+            startX: event.clientX,
+            startWidth: handle.parentElement.offsetWidth,
+            minWidth: col.minWidth
+        };
+        // Moves keep coming to the handle while the pointer is outside it
+        handle.setPointerCapture(event.pointerId);
+    }
+
+    handleResizeMove(event) {
+        if (!this._columnResize) return;
+        const { key, startX, startWidth, minWidth } = this._columnResize;
+        this._setColumnWidth(key, Math.max(Math.round(startWidth + event.clientX - startX), minWidth));
+    }
+
+    handleResizeEnd() {
+        this._columnResize = null;
+    }
+
+    // Left and right arrows resize the column from its focused handle
+    handleResizeKeydown(event) {
+        let step = 0;
+        if (event.key === 'ArrowRight') {
+            step = RESIZE_KEY_STEP;
+        } else if (event.key === 'ArrowLeft') {
+            step = -RESIZE_KEY_STEP;
+        }
+        if (!step) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        const handle = event.currentTarget;
+        const col = this.processedColumns.find(c => c.widthKey === handle.dataset.widthKey);
+        if (col) {
+            this._setColumnWidth(col.widthKey, Math.max(handle.parentElement.offsetWidth + step, col.minWidth));
+        }
+    }
+
+    // Double-clicking a handle drops the dragged width
+    handleResizeReset(event) {
+        event.stopPropagation();
+        const key = event.currentTarget.dataset.widthKey;
+        if (!this._resizedWidths.has(key)) return;
+        const widths = new Map(this._resizedWidths);
+        widths.delete(key);
+        this._resizedWidths = widths;
+        if (!this._hasColumnWidths) {
+            // Back to widths sized to content; measure again if a column is dragged later
+            this._measuredWidths = null;
+        }
+    }
+
     // ─────────────────────────────────────────────────────────────────
     // Utility
     // ─────────────────────────────────────────────────────────────────
@@ -715,16 +4606,23 @@ export default class FlowDatatable extends NavigationMixin(LightningElement) {
     }
 
     focusEditingCell() {
-        if (!this._editingCell) return;
+        const input = this._getEditingInput();
+        if (input) {
+            input.focus();
+        }
+    }
+
+    _getEditingInput() {
+        if (!this._editingCell) return null;
         const { recordId, fieldName } = this._editingCell;
         const selector = `td[data-record-id="${recordId}"][data-field-name="${fieldName}"]`;
         const cell = this.template.querySelector(selector);
-        if (cell) {
-            const input = cell.querySelector('lightning-input') || cell.querySelector('lightning-combobox');
-            if (input) {
-                input.focus();
-            }
-        }
+        if (!cell) return null;
+        return cell.querySelector('lightning-input, lightning-combobox, lightning-textarea, lightning-dual-listbox');
+    }
+
+    get userTimeZone() {
+        return TIME_ZONE;
     }
 
     normalizeError(error) {
@@ -0,0 +1,261 @@
+/**
+ * Minimal XLSX writer for the datatable export: one worksheet, inline strings,
+ * and number/date styles, packed into an uncompressed (stored) zip.
+ *
+ * Cells are { type, value } where type is 'string', 'number', 'currency',
+ * 'percent', 'date' or 'datetime'. Date and datetime values are Excel serial
+ * numbers (see toExcelSerial); percent values are fractions (0.25 = 25%).
+ * Number, currency and percent cells can carry an Excel number format code in
+ * `format` (e.g. '"€"#,##0.00') in place of their type's default format.
+ */
+
+// Style indexes into cellXfs in styles.xml
+const STYLE_INDEX = {
+    string: 0,
+    number: 0,
+    date: 1,
+    datetime: 2,
+    currency: 3,
+    percent: 4,
+    header: 5
+};
+
+const CONTENT_TYPES_XML =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>';
+
+const ROOT_RELS_XML =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+
+const WORKBOOK_RELS_XML =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    '</Relationships>';
+
+// numFmtId 14 = short date, 22 = date + time, 4 = #,##0.00, 10 = 0.00%.
+// Custom formats from cells get numFmtIds from 164 and xfs after these.
+const BASE_CELL_XFS = [
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+    '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>',
+    '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>',
+    '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>',
+    '<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>',
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+];
+const FIRST_CUSTOM_FORMAT_ID = 164;
+
+// Days between Excel's epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+const MS_PER_DAY = 86400000;
+
+let crcTable;
+
+/**
+ * Excel serial number for a wall-clock date and time (no time zone).
+ */
+export function toExcelSerial(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+    return Date.UTC(year, month - 1, day, hours, minutes, seconds) / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+}
+
+/**
+ * Builds an .xlsx file with a bold header row followed by the data rows.
+ * @param {String} sheetName
+ * @param {String[]} headers
+ * @param {Object[][]} rows arrays of { type, value } cells
+ * @returns {Uint8Array}
+ */
+export function buildXlsx(sheetName, headers, rows) {
+    // Each distinct custom format gets its own style
+    const formatStyles = new Map();
+    rows.forEach(cells => cells.forEach(cell => {
+        if (cell.format && !formatStyles.has(cell.format)) {
+            formatStyles.set(cell.format, BASE_CELL_XFS.length + formatStyles.size);
+        }
+    }));
+
+    const headerCells = headers.map(label => ({ type: 'header', value: label }));
+    const sheetRows = [headerCells, ...rows].map((cells, rowIndex) => {
+        const rowNumber = rowIndex + 1;
+        const cellXml = cells.map((cell, colIndex) => buildCell(cell, columnName(colIndex) + rowNumber, formatStyles)).join('');
+        return `<row r="${rowNumber}">${cellXml}</row>`;
+    });
+
+    const sheetXml =
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData>${sheetRows.join('')}</sheetData>` +
+        '</worksheet>';
+
+    const workbookXml =
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(cleanSheetName(sheetName))}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>';
+
+    return buildZip([
+        { name: '[Content_Types].xml', content: CONTENT_TYPES_XML },
+        { name: '_rels/.rels', content: ROOT_RELS_XML },
+        { name: 'xl/workbook.xml', content: workbookXml },
+        { name: 'xl/_rels/workbook.xml.rels', content: WORKBOOK_RELS_XML },
+        { name: 'xl/styles.xml', content: buildStyles([...formatStyles.keys()]) },
+        { name: 'xl/worksheets/sheet1.xml', content: sheetXml }
+    ]);
+}
+
+function buildStyles(formats) {
+    const numFmts = formats.map((format, i) =>
+        `<numFmt numFmtId="${FIRST_CUSTOM_FORMAT_ID + i}" formatCode="${escapeXml(format)}"/>`
+    );
+    const cellXfs = [
+        ...BASE_CELL_XFS,
+        ...formats.map((format, i) =>
+            `<xf numFmtId="${FIRST_CUSTOM_FORMAT_ID + i}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`
+        )
+    ];
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        (numFmts.length > 0 ? `<numFmts count="${numFmts.length}">${numFmts.join('')}</numFmts>` : '') +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        `<cellXfs count="${cellXfs.length}">${cellXfs.join('')}</cellXfs>` +
+        '</styleSheet>';
+}
+
+function buildCell(cell, ref, formatStyles) {
+    const style = cell.format ? formatStyles.get(cell.format) : STYLE_INDEX[cell.type] || 0;
+    const styleAttr = style ? ` s="${style}"` : '';
+    if (cell.value == null || cell.value === '') {
+        return style ? `<c r="${ref}"${styleAttr}/>` : '';
+    }
+    if (cell.type !== 'string' && cell.type !== 'header' && isFinite(cell.value)) {
+        return `<c r="${ref}"${styleAttr}><v>${Number(cell.value)}</v></c>`;
+    }
+    return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(cell.value))}</t></is></c>`;
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+    let name = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        name = String.fromCharCode(65 + remainder) + name;
+        n = Math.floor((n - 1) / 26);
+    }
+    return name;
+}
+
+// Sheet names: max 31 characters, none of : \ / ? * [ ]
+function cleanSheetName(name) {
+    const cleaned = String(name || '').replace(/[:\\/?*[\]]/g, ' ').trim().substring(0, 31);
+    return cleaned || 'Sheet1';
+}
+
+function escapeXml(text) {
+    return text
+        // Control characters other than tab/newline/CR aren't allowed in XML
+        // eslint-disable-next-line no-control-regex
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Zip (stored entries, no compression)
+// ─────────────────────────────────────────────────────────────────
+
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true); // version needed
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true); // stored
+        local.setUint16(10, 0, true); // time
+        local.setUint16(12, 0x21, true); // date: 1980-01-01
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true); // version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, 0, true);
+        central.setUint16(14, 0x21, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
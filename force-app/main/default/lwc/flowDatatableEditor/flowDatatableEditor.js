@@ -1,6 +1,10 @@
 import { LightningElement, api } from 'lwc';
 import getObjectFields from '@salesforce/apex/FlowDatatableService.getObjectFields';
 import getAvailableSObjects from '@salesforce/apex/FlowDatatableService.getAvailableSObjects';
+import getColumnMetadata from '@salesforce/apex/FlowDatatableService.getColumnMetadata';
+
+// The table's whereValue1-5 inputs carry the WHERE clause's merge fields
+const WHERE_VALUE_COUNT = 5;
 
 export default class FlowDatatableEditor extends LightningElement {
 
@@ -58,10 +62,22 @@ export default class FlowDatatableEditor extends LightningElement {
     // Records collection picker
     _selectedRecordsVariable = '';
 
+    // Record source: the records collection, or a query the table runs itself
+    recordSource = 'Flow Records';
+    whereClause = '';
+
+    // Pre-selection resources (record collection / text collection references)
+    _preSelectedRecordsVariable = '';
+    _preSelectedIdsVariable = '';
+
     // Column configuration - array of { id, fieldApiName, label, customLabel, dataType, isRelationship, relationshipName, relatedObjectName, allowEdit }
     columns = [];
     _nextColumnId = 1;
 
+    // Column metadata (type, picklist values) for the per-column settings panel
+    _columnMetadata = {}; // lowercased field path -> ColumnMetadata
+    _columnMetadataError = null;
+
     // Available fields from Apex
     availableFields = [];
     _fieldsLoaded = false;
@@ -71,12 +87,43 @@ export default class FlowDatatableEditor extends LightningElement {
     // Other settings
     selectionMode = 'View Only';
     enableInlineEdit = false;
+    allowAddRows = false;
+    allowDeleteRows = false;
+    _extraNewRowDefaults = {}; // defaults in newRowDefaults for fields that aren't columns
+    saveMode = 'Flow Output';
     visibleRows = 10;
     showSearch = true;
+    showExport = false;
+    exportFileName = '';
     headerText = '';
     showRowNumbers = false;
+    frozenColumns = 0;
     headerRowHeight = 32;
     rowHeight = 32;
+    renderMode = 'All Rows';
+    pageSize = 25;
+    requireSelection = false;
+    minSelections = null;
+    maxSelections = null;
+    validationErrorMessage = '';
+
+    // Default sort levels (serialized to defaultSort as "Field ASC, Field DESC NULLS FIRST")
+    sortLevels = [];
+    _nextSortLevelId = 1;
+    picklistSortOrder = 'Label';
+    sortNulls = 'Last';
+    aggregateScope = 'All Rows';
+    groupByField = '';
+    showGroupSubtotals = false;
+
+    // Row actions
+    rowActions = [];
+    _nextRowActionId = 1;
+    rowActionDisplay = 'Buttons';
+
+    // Conditional formatting rules
+    formattingRules = [];
+    _nextRuleId = 1;
 
     // ─────────────────────────────────────────────────────────────────
     // Initialization
@@ -98,9 +145,16 @@ export default class FlowDatatableEditor extends LightningElement {
     _initFromInputVariables() {
         this.selectionMode = this._getInputValue('selectionMode') || 'View Only';
         this.enableInlineEdit = this._getInputValue('enableInlineEdit') === true || this._getInputValue('enableInlineEdit') === 'true';
+        this.allowAddRows = this._getInputValue('allowAddRows') === true || this._getInputValue('allowAddRows') === 'true';
+        this.allowDeleteRows = this._getInputValue('allowDeleteRows') === true || this._getInputValue('allowDeleteRows') === 'true';
+        this.saveMode = this._getInputValue('saveMode') || 'Flow Output';
         this.showSearch = this._getInputValue('showSearch') === true || this._getInputValue('showSearch') === 'true';
         this.showRowNumbers = this._getInputValue('showRowNumbers') === true || this._getInputValue('showRowNumbers') === 'true';
+        this.showExport = this._getInputValue('showExport') === true || this._getInputValue('showExport') === 'true';
+        this.exportFileName = this._getInputValue('exportFileName') || '';
         this.headerText = this._getInputValue('headerText') || '';
+        const frozenVal = this._getInputValue('frozenColumns');
+        this.frozenColumns = frozenVal != null && frozenVal !== '' ? parseInt(frozenVal, 10) : 0;
 
         const rowsVal = this._getInputValue('visibleRows');
         this.visibleRows = rowsVal != null && rowsVal !== '' ? parseInt(rowsVal, 10) : 10;
@@ -111,11 +165,24 @@ export default class FlowDatatableEditor extends LightningElement {
         const dHeightVal = this._getInputValue('rowHeight');
         this.rowHeight = dHeightVal != null && dHeightVal !== '' ? parseInt(dHeightVal, 10) : 32;
 
+        this.renderMode = this._getInputValue('renderMode') || 'All Rows';
+        const pageSizeVal = this._getInputValue('pageSize');
+        this.pageSize = pageSizeVal != null && pageSizeVal !== '' ? parseInt(pageSizeVal, 10) : 25;
+
         // Parse columns from fieldNames + columnLabels + editableFields
         const fieldNamesStr = this._getInputValue('fieldNames') || '';
         const columnLabelsStr = this._getInputValue('columnLabels') || '';
         const editableFieldsStr = this._getInputValue('editableFields') || '';
 
+        const defaultFilters = this._parseDefaultFilters(this._getInputValue('defaultFilters'));
+        const aggregates = this._parseColumnAggregates(this._getInputValue('columnAggregates'));
+        const newRowDefaults = this._parseNewRowDefaults(this._getInputValue('newRowDefaults'));
+        const searchableFields = this._parseFieldList(this._getInputValue('searchableFields'));
+        const widths = this._parseColumnList(this._getInputValue('columnWidths'));
+        const minWidths = this._parseColumnList(this._getInputValue('columnMinWidths'));
+        const alignments = this._parseColumnList(this._getInputValue('columnAlignments'));
+        const wrapping = this._parseColumnList(this._getInputValue('columnWrapping'));
+
         if (fieldNamesStr) {
             const fieldNames = fieldNamesStr.split(',').map(f => f.trim()).filter(f => f);
             const labels = columnLabelsStr ? columnLabelsStr.split(',').map(l => l.trim()) : [];
@@ -132,13 +199,53 @@ export default class FlowDatatableEditor extends LightningElement {
                 isRelationship: fn.includes('.'),
                 relationshipName: '',
                 relatedObjectName: '',
-                allowEdit: editableSet.has(fn)
+                allowEdit: editableSet.has(fn),
+                isExpanded: false,
+                defaultFilter: defaultFilters[fn.toLowerCase()] != null ? defaultFilters[fn.toLowerCase()] : null,
+                aggregate: aggregates[fn.toLowerCase()] || '',
+                newRowDefault: newRowDefaults[fn.toLowerCase()] != null ? newRowDefaults[fn.toLowerCase()].value : null,
+                searchable: searchableFields.size === 0 || searchableFields.has(fn.toLowerCase()),
+                width: widths[i] || '',
+                minWidth: minWidths[i] || '',
+                alignment: (alignments[i] || '').toLowerCase(),
+                wrapping: (wrapping[i] || '').toLowerCase()
             }));
         }
 
+        // Defaults for fields that aren't columns (hand-edited JSON) are kept as they are
+        const columnFields = new Set(this.columns.map(c => c.fieldApiName.toLowerCase()));
+        this._extraNewRowDefaults = {};
+        Object.keys(newRowDefaults)
+            .filter(key => !columnFields.has(key))
+            .forEach(key => {
+                this._extraNewRowDefaults[newRowDefaults[key].fieldName] = newRowDefaults[key].value;
+            });
+
         // Read records variable reference
         const recordsVar = this._inputVariables.find(v => v.name === 'records');
         this._selectedRecordsVariable = recordsVar ? recordsVar.value : '';
+        this.recordSource = this._getInputValue('recordSource') || 'Flow Records';
+        this.whereClause = this._getInputValue('whereClause') || '';
+
+        this.requireSelection = this._getInputValue('requireSelection') === true || this._getInputValue('requireSelection') === 'true';
+        const minVal = this._getInputValue('minSelections');
+        this.minSelections = minVal != null && minVal !== '' ? parseInt(minVal, 10) : null;
+        const maxVal = this._getInputValue('maxSelections');
+        this.maxSelections = maxVal != null && maxVal !== '' ? parseInt(maxVal, 10) : null;
+        this.validationErrorMessage = this._getInputValue('validationErrorMessage') || '';
+
+        this.sortLevels = this._parseSortLevels(this._getInputValue('defaultSort'));
+        this.picklistSortOrder = this._getInputValue('picklistSortOrder') || 'Label';
+        this.sortNulls = this._getInputValue('sortNulls') || 'Last';
+        this.aggregateScope = this._getInputValue('aggregateScope') || 'All Rows';
+        this.groupByField = this._getInputValue('groupByField') || '';
+        this.showGroupSubtotals = this._getInputValue('showGroupSubtotals') === true || this._getInputValue('showGroupSubtotals') === 'true';
+        this.rowActions = this._parseRowActions(this._getInputValue('rowActions'));
+        this.rowActionDisplay = this._getInputValue('rowActionDisplay') || 'Buttons';
+        this.formattingRules = this._parseFormattingRules(this._getInputValue('formattingRules'));
+
+        this._preSelectedRecordsVariable = this._getInputValue('preSelectedRecords') || '';
+        this._preSelectedIdsVariable = this._getInputValue('preSelectedIds') || '';
 
         // Read objectApiName if it was previously set
         const objName = this._getInputValue('objectApiName');
@@ -175,12 +282,32 @@ export default class FlowDatatableEditor extends LightningElement {
 
             // Enrich existing columns with metadata from loaded fields
             this._enrichColumns();
+            this._loadColumnMetadata();
         } catch (error) {
             this._fieldsError = error.body ? error.body.message : error.message;
             this._fieldsLoaded = true;
         }
     }
 
+    async _loadColumnMetadata() {
+        if (!this.objectApiName || this.columns.length === 0) return;
+
+        try {
+            const metadata = await getColumnMetadata({
+                objectApiName: this.objectApiName,
+                fieldNames: this.columns.map(c => c.fieldApiName).join(',')
+            });
+            const byField = {};
+            metadata.forEach(m => {
+                byField[m.fieldApiName.toLowerCase()] = m;
+            });
+            this._columnMetadata = byField;
+            this._columnMetadataError = null;
+        } catch (error) {
+            this._columnMetadataError = error.body ? error.body.message : error.message;
+        }
+    }
+
     _enrichColumns() {
         if (!this.availableFields.length) return;
 
@@ -260,6 +387,69 @@ export default class FlowDatatableEditor extends LightningElement {
         ];
     }
 
+    get saveModeOptions() {
+        return [
+            { label: 'Flow Output', value: 'Flow Output' },
+            { label: 'Save to Database', value: 'Save to Database' }
+        ];
+    }
+
+    get renderModeOptions() {
+        return [
+            { label: 'All Rows', value: 'All Rows' },
+            { label: 'Virtual Scroll', value: 'Virtual Scroll' },
+            { label: 'Pagination', value: 'Pagination' }
+        ];
+    }
+
+    // Query mode always pages, on the server
+    get isPaginated() {
+        return this.isQueryMode || this.renderMode === 'Pagination';
+    }
+
+    get pageSizeMax() {
+        return this.isQueryMode ? 200 : 500;
+    }
+
+    get recordSourceOptions() {
+        return [
+            { label: 'Flow Records', value: 'Flow Records' },
+            { label: 'Query', value: 'Query' }
+        ];
+    }
+
+    get isQueryMode() {
+        return this.recordSource === 'Query';
+    }
+
+    /**
+     * Distinct merge fields in the WHERE clause, in order of first use — the
+     * order the table binds them as :value1, :value2, ...
+     */
+    get whereMergeFields() {
+        const names = [];
+        const pattern = /\{!\s*([^}\s]+)\s*\}/g;
+        let match;
+        while ((match = pattern.exec(this.whereClause || '')) !== null) {
+            if (!names.includes(match[1])) {
+                names.push(match[1]);
+            }
+        }
+        return names;
+    }
+
+    get hasTooManyMergeFields() {
+        return this.whereMergeFields.length > WHERE_VALUE_COUNT;
+    }
+
+    get isSelectable() {
+        return this.selectionMode === 'Single Select' || this.selectionMode === 'Multi Select';
+    }
+
+    get isMultiSelect() {
+        return this.selectionMode === 'Multi Select';
+    }
+
     get objectLabel() {
         return this.objectApiName || 'No object selected';
     }
@@ -329,6 +519,260 @@ export default class FlowDatatableEditor extends LightningElement {
         return this.availableRecordCollections.length > 0;
     }
 
+    /**
+     * Columns plus the view state of each one's settings panel.
+     */
+    get columnItems() {
+        // Aggregates are output as Aggregate 1-5 in column order
+        let aggregateNumber = 0;
+        const searchableCount = this.columns.filter(c => c.searchable).length;
+        return this.columns.map(col => {
+            const metadata = this._columnMetadata[col.fieldApiName.toLowerCase()];
+            const filterKind = metadata ? this._getFilterKind(metadata.dataType) : null;
+            const filter = col.defaultFilter;
+            const range = filter && typeof filter === 'object' && !Array.isArray(filter) ? filter : {};
+
+            return {
+                ...col,
+                expandIcon: col.isExpanded ? 'utility:chevrondown' : 'utility:chevronright',
+                expandLabel: col.isExpanded ? 'Hide column settings' : 'Show column settings',
+                isValuesFilter: filterKind === 'values',
+                isDateFilter: filterKind === 'date',
+                isNumberFilter: filterKind === 'number',
+                isBooleanFilter: filterKind === 'boolean',
+                hasNoFilter: !filterKind,
+                noFilterMessage: this._getNoFilterMessage(metadata),
+                filterOptions: metadata && metadata.picklistValues
+                    ? metadata.picklistValues.map(pv => ({ label: pv.label, value: pv.value }))
+                    : [],
+                filterValues: Array.isArray(filter) ? filter : [],
+                filterFrom: range.from || null,
+                filterTo: range.to || null,
+                filterMin: range.min != null ? range.min : null,
+                filterMax: range.max != null ? range.max : null,
+                filterBoolean: typeof filter === 'boolean' ? String(filter) : 'any',
+                canAggregate: !!metadata && this._getFilterKind(metadata.dataType) === 'number',
+                ...this._getNewRowDefaultEditor(col, metadata),
+                aggregateOutputText: col.aggregate ? this._getAggregateOutputText(++aggregateNumber) : '',
+                // At least one column stays searchable: an empty list means every column
+                isSearchableLocked: col.searchable && searchableCount === 1
+            };
+        });
+    }
+
+    /**
+     * Editor for a column's value on new rows, by data type. Relationship paths
+     * (e.g. Account.Name) can't take a default; set the lookup field instead.
+     */
+    _getNewRowDefaultEditor(col, metadata) {
+        const showDefault = this.allowAddRows && this.enableInlineEdit && !col.isRelationship;
+        const dataType = metadata ? metadata.dataType : '';
+        const value = col.newRowDefault;
+        const editor = {
+            showNewRowDefault: showDefault,
+            isNewRowDefaultPicklist: false,
+            isNewRowDefaultInput: false,
+            newRowDefaultOptions: [],
+            newRowDefaultInputType: 'text',
+            newRowDefaultValue: value != null ? String(value) : ''
+        };
+        if (!showDefault) return editor;
+
+        if (dataType === 'BOOLEAN') {
+            editor.isNewRowDefaultPicklist = true;
+            editor.newRowDefaultOptions = [
+                { label: 'None', value: '' },
+                { label: 'Checked', value: 'true' },
+                { label: 'Unchecked', value: 'false' }
+            ];
+        } else if (dataType === 'PICKLIST' && metadata.picklistValues) {
+            editor.isNewRowDefaultPicklist = true;
+            editor.newRowDefaultOptions = [
+                { label: 'None', value: '' },
+                ...metadata.picklistValues.map(pv => ({ label: pv.label, value: pv.value }))
+            ];
+        } else {
+            editor.isNewRowDefaultInput = true;
+            if (['INTEGER', 'DOUBLE', 'CURRENCY', 'PERCENT'].includes(dataType)) {
+                editor.newRowDefaultInputType = 'number';
+            } else if (dataType === 'DATE') {
+                editor.newRowDefaultInputType = 'date';
+            }
+        }
+        return editor;
+    }
+
+    _getAggregateOutputText(number) {
+        return number <= 5
+            ? `Output as Aggregate ${number}`
+            : 'Shown in the footer only (Aggregate 1-5 are already used)';
+    }
+
+    get alignmentOptions() {
+        return [
+            { label: 'Default', value: '' },
+            { label: 'Left', value: 'left' },
+            { label: 'Center', value: 'center' },
+            { label: 'Right', value: 'right' }
+        ];
+    }
+
+    get wrappingOptions() {
+        return [
+            { label: 'Default', value: '' },
+            { label: 'Wrap', value: 'wrap' },
+            { label: 'Clip', value: 'clip' }
+        ];
+    }
+
+    get aggregateOptions() {
+        return [
+            { label: 'None', value: '' },
+            { label: 'Sum', value: 'SUM' },
+            { label: 'Average', value: 'AVG' },
+            { label: 'Min', value: 'MIN' },
+            { label: 'Max', value: 'MAX' },
+            { label: 'Count', value: 'COUNT' }
+        ];
+    }
+
+    get aggregateScopeOptions() {
+        return [
+            { label: 'All Rows', value: 'All Rows' },
+            { label: 'Filtered Rows', value: 'Filtered Rows' },
+            { label: 'Selected Rows', value: 'Selected Rows' }
+        ];
+    }
+
+    get hasAggregates() {
+        return this.columns.some(c => c.aggregate);
+    }
+
+    _getNoFilterMessage(metadata) {
+        if (metadata) return 'This field type has no header filter.';
+        if (this._columnMetadataError) return `Field details couldn't be loaded: ${this._columnMetadataError}`;
+        return 'Loading field details...';
+    }
+
+    get booleanFilterOptions() {
+        return [
+            { label: 'Any', value: 'any' },
+            { label: 'Yes', value: 'true' },
+            { label: 'No', value: 'false' }
+        ];
+    }
+
+    get sortLevelItems() {
+        return this.sortLevels.map((level, index) => ({
+            ...level,
+            number: index + 1
+        }));
+    }
+
+    get sortFieldOptions() {
+        return this.columns.map(c => ({
+            label: c.customLabel || c.label,
+            value: c.fieldApiName
+        }));
+    }
+
+    get groupByOptions() {
+        return [{ label: 'None', value: '' }, ...this.sortFieldOptions];
+    }
+
+    get isGrouped() {
+        return !!this.groupByField;
+    }
+
+    get isAddSortLevelDisabled() {
+        return this.columns.length === 0;
+    }
+
+    get sortDirectionOptions() {
+        return [
+            { label: 'Ascending', value: 'ASC' },
+            { label: 'Descending', value: 'DESC' }
+        ];
+    }
+
+    get sortNullsOverrideOptions() {
+        return [
+            { label: 'Blanks: default', value: '' },
+            { label: 'Blanks first', value: 'FIRST' },
+            { label: 'Blanks last', value: 'LAST' }
+        ];
+    }
+
+    get picklistSortOrderOptions() {
+        return [
+            { label: 'Label', value: 'Label' },
+            { label: 'Picklist Order', value: 'Picklist Order' }
+        ];
+    }
+
+    get sortNullsOptions() {
+        return [
+            { label: 'Last', value: 'Last' },
+            { label: 'First', value: 'First' }
+        ];
+    }
+
+    get rowActionDisplayOptions() {
+        return [
+            { label: 'Buttons', value: 'Buttons' },
+            { label: 'Menu', value: 'Menu' }
+        ];
+    }
+
+    get hasRowActions() {
+        return this.rowActions.length > 0;
+    }
+
+    get ruleItems() {
+        return this.formattingRules.map((rule, index) => {
+            const noValue = ['isBlank', 'isNotBlank', 'beforeToday', 'today', 'afterToday'].includes(rule.operator);
+            const isDays = rule.operator === 'nextDays' || rule.operator === 'lastDays';
+            return {
+                ...rule,
+                number: index + 1,
+                showValue: !noValue,
+                showValue2: rule.operator === 'between',
+                valueLabel: isDays ? 'Days' : 'Value',
+                valueType: isDays ? 'number' : 'text',
+                valuePlaceholder: isDays ? '' : 'Dates as YYYY-MM-DD'
+            };
+        });
+    }
+
+    get ruleOperatorOptions() {
+        return [
+            { label: 'Equals', value: 'equals' },
+            { label: 'Does not equal', value: 'notEquals' },
+            { label: 'Contains', value: 'contains' },
+            { label: 'Greater than', value: 'greaterThan' },
+            { label: 'Less than', value: 'lessThan' },
+            { label: 'Between', value: 'between' },
+            { label: 'Is blank', value: 'isBlank' },
+            { label: 'Is not blank', value: 'isNotBlank' },
+            { label: 'Before today', value: 'beforeToday' },
+            { label: 'Today', value: 'today' },
+            { label: 'After today', value: 'afterToday' },
+            { label: 'In the next N days', value: 'nextDays' },
+            { label: 'In the last N days', value: 'lastDays' }
+        ];
+    }
+
+    get ruleTargetOptions() {
+        return [
+            { label: 'Cell', value: 'cell' },
+            { label: 'Whole row', value: 'row' }
+        ];
+    }
+
+    get isAddRuleDisabled() {
+        return this.columns.length === 0;
+    }
+
     get columnCountLabel() {
         return `Columns (${this.columns.length})`;
     }
@@ -372,19 +816,43 @@ export default class FlowDatatableEditor extends LightningElement {
     handleRecordsChange(event) {
         const newValue = event.detail.value || event.target.value || '';
         this._selectedRecordsVariable = newValue;
-        this.dispatchEvent(new CustomEvent(
-            'configuration_editor_input_value_changed',
-            {
-                bubbles: true,
-                cancelable: false,
-                composed: true,
-                detail: {
-                    name: 'records',
-                    newValue: newValue,
-                    newValueDataType: 'reference'
-                }
+        this._dispatchChange('records', newValue, 'reference');
+    }
+
+    handleRecordSourceChange(event) {
+        this.recordSource = event.detail.value;
+        this._dispatchChange('recordSource', this.recordSource, 'String');
+    }
+
+    /**
+     * Saves the WHERE clause and maps whereValue1-5 to its merge fields' resources,
+     * clearing the ones no longer used.
+     */
+    handleWhereClauseChange(event) {
+        this.whereClause = event.detail.value || '';
+        this._dispatchChange('whereClause', this.whereClause, 'String');
+
+        const mergeFields = this.whereMergeFields;
+        for (let i = 0; i < WHERE_VALUE_COUNT; i++) {
+            const name = `whereValue${i + 1}`;
+            if (i < mergeFields.length) {
+                this._dispatchChange(name, mergeFields[i], 'reference');
+            } else {
+                this._dispatchChange(name, null, 'String');
             }
-        ));
+        }
+    }
+
+    handlePreSelectedRecordsChange(event) {
+        const newValue = event.detail.value || event.target.value || '';
+        this._preSelectedRecordsVariable = newValue;
+        this._dispatchChange('preSelectedRecords', newValue || null, 'reference');
+    }
+
+    handlePreSelectedIdsChange(event) {
+        const newValue = event.detail.value || event.target.value || '';
+        this._preSelectedIdsVariable = newValue;
+        this._dispatchChange('preSelectedIds', newValue || null, 'reference');
     }
 
     // ─────────────────────────────────────────────────────────────────
@@ -405,7 +873,16 @@ export default class FlowDatatableEditor extends LightningElement {
             isRelationship: field.isRelationship,
             relationshipName: field.relationshipName || '',
             relatedObjectName: field.relatedObjectName || '',
-            allowEdit: false
+            allowEdit: false,
+            isExpanded: false,
+            defaultFilter: null,
+            aggregate: '',
+            newRowDefault: null,
+            searchable: true,
+            width: '',
+            minWidth: '',
+            alignment: '',
+            wrapping: ''
         };
 
         // If it's a relationship, auto-add as RelName.Name
@@ -417,12 +894,34 @@ export default class FlowDatatableEditor extends LightningElement {
 
         this.columns = [...this.columns, newCol];
         this._dispatchColumnChanges();
+        this._loadColumnMetadata();
     }
 
     handleRemoveColumn(event) {
         const colId = parseInt(event.currentTarget.dataset.colId, 10);
+        const removed = this.columns.find(c => c.id === colId);
         this.columns = this.columns.filter(c => c.id !== colId);
         this._dispatchColumnChanges();
+        this._loadColumnMetadata();
+
+        // Sort levels on the removed column go with it
+        if (removed && this.sortLevels.some(l => l.fieldName === removed.fieldApiName)) {
+            this.sortLevels = this.sortLevels.filter(l => l.fieldName !== removed.fieldApiName);
+            this._dispatchDefaultSort();
+        }
+
+        // So does grouping by it
+        if (removed && this.groupByField === removed.fieldApiName) {
+            this.groupByField = '';
+            this._dispatchChange('groupByField', this.groupByField, 'String');
+        }
+    }
+
+    handleToggleColumnSettings(event) {
+        const colId = parseInt(event.currentTarget.dataset.colId, 10);
+        this.columns = this.columns.map(c =>
+            c.id === colId ? { ...c, isExpanded: !c.isExpanded } : c
+        );
     }
 
     handleMoveUp(event) {
@@ -465,6 +964,242 @@ export default class FlowDatatableEditor extends LightningElement {
         this._dispatchColumnChanges();
     }
 
+    // ─────────────────────────────────────────────────────────────────
+    // Default filter handlers (column settings panel)
+    // ─────────────────────────────────────────────────────────────────
+
+    handleDefaultFilterValuesChange(event) {
+        const values = event.detail.value;
+        this._setDefaultFilter(event.currentTarget.dataset.colId, values.length > 0 ? values : null);
+    }
+
+    handleDefaultFilterRangeChange(event) {
+        const colId = event.currentTarget.dataset.colId;
+        const bound = event.currentTarget.dataset.bound;
+        const value = event.detail.value;
+        const col = this.columns.find(c => c.id === parseInt(colId, 10));
+        if (!col) return;
+
+        const current = col.defaultFilter;
+        const range = current && typeof current === 'object' && !Array.isArray(current) ? { ...current } : {};
+        if (value === '' || value == null) {
+            delete range[bound];
+        } else {
+            range[bound] = bound === 'min' || bound === 'max' ? Number(value) : value;
+        }
+        this._setDefaultFilter(colId, Object.keys(range).length > 0 ? range : null);
+    }
+
+    handleDefaultFilterBooleanChange(event) {
+        const value = event.detail.value;
+        this._setDefaultFilter(event.currentTarget.dataset.colId, value === 'any' ? null : value === 'true');
+    }
+
+    handleClearDefaultFilter(event) {
+        this._setDefaultFilter(event.currentTarget.dataset.colId, null);
+    }
+
+    _setDefaultFilter(colIdValue, filter) {
+        const colId = parseInt(colIdValue, 10);
+        this.columns = this.columns.map(c =>
+            c.id === colId ? { ...c, defaultFilter: filter } : c
+        );
+        this._dispatchDefaultFilters();
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Default sort handlers
+    // ─────────────────────────────────────────────────────────────────
+
+    handleAddSortLevel() {
+        const usedFields = new Set(this.sortLevels.map(l => l.fieldName));
+        const nextColumn = this.columns.find(c => !usedFields.has(c.fieldApiName));
+        this.sortLevels = [...this.sortLevels, {
+            id: this._nextSortLevelId++,
+            fieldName: nextColumn ? nextColumn.fieldApiName : '',
+            direction: 'ASC',
+            nulls: ''
+        }];
+        this._dispatchDefaultSort();
+    }
+
+    handleRemoveSortLevel(event) {
+        const levelId = parseInt(event.currentTarget.dataset.levelId, 10);
+        this.sortLevels = this.sortLevels.filter(l => l.id !== levelId);
+        this._dispatchDefaultSort();
+    }
+
+    handleSortLevelChange(event) {
+        const levelId = parseInt(event.currentTarget.dataset.levelId, 10);
+        const prop = event.currentTarget.dataset.prop;
+        const value = event.detail.value;
+        this.sortLevels = this.sortLevels.map(l =>
+            l.id === levelId ? { ...l, [prop]: value } : l
+        );
+        this._dispatchDefaultSort();
+    }
+
+    handlePicklistSortOrderChange(event) {
+        this.picklistSortOrder = event.detail.value;
+        this._dispatchChange('picklistSortOrder', this.picklistSortOrder, 'String');
+    }
+
+    handleSortNullsChange(event) {
+        this.sortNulls = event.detail.value;
+        this._dispatchChange('sortNulls', this.sortNulls, 'String');
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Row action handlers
+    // ─────────────────────────────────────────────────────────────────
+
+    handleAddRowAction() {
+        this.rowActions = [...this.rowActions, {
+            id: this._nextRowActionId++,
+            label: '',
+            name: '',
+            iconName: '',
+            navigateNext: false
+        }];
+        this._dispatchRowActions();
+    }
+
+    handleRemoveRowAction(event) {
+        const actionId = parseInt(event.currentTarget.dataset.actionId, 10);
+        this.rowActions = this.rowActions.filter(a => a.id !== actionId);
+        this._dispatchRowActions();
+    }
+
+    handleRowActionChange(event) {
+        const actionId = parseInt(event.currentTarget.dataset.actionId, 10);
+        const prop = event.currentTarget.dataset.prop;
+        const value = prop === 'navigateNext' ? event.detail.checked : event.detail.value;
+        this.rowActions = this.rowActions.map(a =>
+            a.id === actionId ? { ...a, [prop]: value } : a
+        );
+        this._dispatchRowActions();
+    }
+
+    handleRowActionDisplayChange(event) {
+        this.rowActionDisplay = event.detail.value;
+        this._dispatchChange('rowActionDisplay', this.rowActionDisplay, 'String');
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Conditional formatting handlers
+    // ─────────────────────────────────────────────────────────────────
+
+    handleAddRule() {
+        this.formattingRules = [...this.formattingRules, {
+            id: this._nextRuleId++,
+            field: this.columns.length > 0 ? this.columns[0].fieldApiName : '',
+            operator: 'equals',
+            value: '',
+            value2: '',
+            target: 'cell',
+            textColor: '',
+            backgroundColor: '',
+            bold: false,
+            iconName: '',
+            label: ''
+        }];
+        this._dispatchFormattingRules();
+    }
+
+    handleRemoveRule(event) {
+        const ruleId = parseInt(event.currentTarget.dataset.ruleId, 10);
+        this.formattingRules = this.formattingRules.filter(r => r.id !== ruleId);
+        this._dispatchFormattingRules();
+    }
+
+    handleRuleChange(event) {
+        const ruleId = parseInt(event.currentTarget.dataset.ruleId, 10);
+        const prop = event.currentTarget.dataset.prop;
+        const value = prop === 'bold' ? event.detail.checked : event.detail.value;
+        this.formattingRules = this.formattingRules.map(r =>
+            r.id === ruleId ? { ...r, [prop]: value } : r
+        );
+        this._dispatchFormattingRules();
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Aggregate handlers
+    // ─────────────────────────────────────────────────────────────────
+
+    handleAggregateChange(event) {
+        const colId = parseInt(event.currentTarget.dataset.colId, 10);
+        const aggregate = event.detail.value;
+        this.columns = this.columns.map(c =>
+            c.id === colId ? { ...c, aggregate } : c
+        );
+        this._dispatchColumnAggregates();
+    }
+
+    // Width, min width, alignment and wrapping, by the input's data-prop
+    handleColumnLayoutChange(event) {
+        const colId = parseInt(event.currentTarget.dataset.colId, 10);
+        const prop = event.currentTarget.dataset.prop;
+        const value = event.detail.value || '';
+        this.columns = this.columns.map(c =>
+            c.id === colId ? { ...c, [prop]: value } : c
+        );
+        this._dispatchColumnLayout();
+    }
+
+    handleSearchableChange(event) {
+        const colId = parseInt(event.currentTarget.dataset.colId, 10);
+        const searchable = event.detail.checked;
+        this.columns = this.columns.map(c =>
+            c.id === colId ? { ...c, searchable } : c
+        );
+        this._dispatchSearchableFields();
+    }
+
+    handleNewRowDefaultChange(event) {
+        const colId = parseInt(event.currentTarget.dataset.colId, 10);
+        const raw = event.detail.value;
+        const col = this.columns.find(c => c.id === colId);
+        const metadata = col ? this._columnMetadata[col.fieldApiName.toLowerCase()] : null;
+        const dataType = metadata ? metadata.dataType : '';
+
+        let value = raw === '' || raw == null ? null : raw;
+        if (value != null && dataType === 'BOOLEAN') {
+            value = value === 'true';
+        } else if (value != null && ['INTEGER', 'DOUBLE', 'CURRENCY', 'PERCENT'].includes(dataType)) {
+            value = Number(value);
+        }
+
+        this.columns = this.columns.map(c =>
+            c.id === colId ? { ...c, newRowDefault: value } : c
+        );
+        this._dispatchNewRowDefaults();
+    }
+
+    handleAllowAddRowsChange(event) {
+        this.allowAddRows = event.target.checked;
+        this._dispatchChange('allowAddRows', this.allowAddRows, 'Boolean');
+    }
+
+    handleAllowDeleteRowsChange(event) {
+        this.allowDeleteRows = event.target.checked;
+        this._dispatchChange('allowDeleteRows', this.allowDeleteRows, 'Boolean');
+    }
+
+    handleAggregateScopeChange(event) {
+        this.aggregateScope = event.detail.value;
+        this._dispatchChange('aggregateScope', this.aggregateScope, 'String');
+    }
+
+    handleGroupByChange(event) {
+        this.groupByField = event.detail.value;
+        this._dispatchChange('groupByField', this.groupByField, 'String');
+    }
+
+    handleShowGroupSubtotalsChange(event) {
+        this.showGroupSubtotals = event.target.checked;
+        this._dispatchChange('showGroupSubtotals', this.showGroupSubtotals, 'Boolean');
+    }
+
     handleFieldSearch(event) {
         this._fieldSearchTerm = event.target.value || '';
     }
@@ -483,6 +1218,11 @@ export default class FlowDatatableEditor extends LightningElement {
         this._dispatchChange('enableInlineEdit', this.enableInlineEdit, 'Boolean');
     }
 
+    handleSaveModeChange(event) {
+        this.saveMode = event.detail.value;
+        this._dispatchChange('saveMode', this.saveMode, 'String');
+    }
+
     handleVisibleRowsChange(event) {
         const val = event.detail.value;
         this.visibleRows = val ? parseInt(val, 10) : 10;
@@ -494,11 +1234,27 @@ export default class FlowDatatableEditor extends LightningElement {
         this._dispatchChange('showSearch', this.showSearch, 'Boolean');
     }
 
+    handleShowExportChange(event) {
+        this.showExport = event.target.checked;
+        this._dispatchChange('showExport', this.showExport, 'Boolean');
+    }
+
+    handleExportFileNameChange(event) {
+        this.exportFileName = event.detail.value;
+        this._dispatchChange('exportFileName', this.exportFileName, 'String');
+    }
+
     handleShowRowNumbersChange(event) {
         this.showRowNumbers = event.target.checked;
         this._dispatchChange('showRowNumbers', this.showRowNumbers, 'Boolean');
     }
 
+    handleFrozenColumnsChange(event) {
+        const val = event.detail.value;
+        this.frozenColumns = val ? parseInt(val, 10) : 0;
+        this._dispatchChange('frozenColumns', this.frozenColumns, 'Number');
+    }
+
     handleHeaderTextChange(event) {
         this.headerText = event.detail.value;
         this._dispatchChange('headerText', this.headerText, 'String');
@@ -516,6 +1272,39 @@ export default class FlowDatatableEditor extends LightningElement {
         this._dispatchChange('rowHeight', String(this.rowHeight), 'String');
     }
 
+    handleRequireSelectionChange(event) {
+        this.requireSelection = event.target.checked;
+        this._dispatchChange('requireSelection', this.requireSelection, 'Boolean');
+    }
+
+    handleMinSelectionsChange(event) {
+        const val = event.detail.value;
+        this.minSelections = val ? parseInt(val, 10) : null;
+        this._dispatchChange('minSelections', this.minSelections, 'Number');
+    }
+
+    handleMaxSelectionsChange(event) {
+        const val = event.detail.value;
+        this.maxSelections = val ? parseInt(val, 10) : null;
+        this._dispatchChange('maxSelections', this.maxSelections, 'Number');
+    }
+
+    handleValidationErrorMessageChange(event) {
+        this.validationErrorMessage = event.detail.value;
+        this._dispatchChange('validationErrorMessage', this.validationErrorMessage, 'String');
+    }
+
+    handleRenderModeChange(event) {
+        this.renderMode = event.detail.value;
+        this._dispatchChange('renderMode', this.renderMode, 'String');
+    }
+
+    handlePageSizeChange(event) {
+        const val = event.detail.value;
+        this.pageSize = val ? parseInt(val, 10) : 25;
+        this._dispatchChange('pageSize', this.pageSize, 'Number');
+    }
+
     // ─────────────────────────────────────────────────────────────────
     // Dispatch helpers
     // ─────────────────────────────────────────────────────────────────
@@ -535,6 +1324,241 @@ export default class FlowDatatableEditor extends LightningElement {
             .map(c => c.fieldApiName)
             .join(',');
         this._dispatchChange('editableFields', editableFields, 'String');
+
+        // Removed columns drop their default filters, aggregates, new row defaults
+        // and search settings; moved columns take their layout with them
+        this._dispatchDefaultFilters();
+        this._dispatchColumnAggregates();
+        this._dispatchNewRowDefaults();
+        this._dispatchSearchableFields();
+        this._dispatchColumnLayout();
+    }
+
+    // Layout lists line up with fieldNames, and are blank when no column sets the value
+    _dispatchColumnLayout() {
+        [
+            ['columnWidths', 'width'],
+            ['columnMinWidths', 'minWidth'],
+            ['columnAlignments', 'alignment'],
+            ['columnWrapping', 'wrapping']
+        ].forEach(([name, prop]) => {
+            const values = this.columns.map(c => (c[prop] != null ? String(c[prop]) : ''));
+            this._dispatchChange(name, values.some(v => v) ? values.join(',') : '', 'String');
+        });
+    }
+
+    // A per-column list such as columnWidths, in fieldNames order
+    _parseColumnList(text) {
+        return text ? String(text).split(',').map(v => v.trim()) : [];
+    }
+
+    _dispatchNewRowDefaults() {
+        const defaults = { ...this._extraNewRowDefaults };
+        this.columns.forEach(c => {
+            if (c.newRowDefault != null && c.newRowDefault !== '') {
+                defaults[c.fieldApiName] = c.newRowDefault;
+            }
+        });
+        const json = Object.keys(defaults).length > 0 ? JSON.stringify(defaults) : '';
+        this._dispatchChange('newRowDefaults', json, 'String');
+    }
+
+    // Lowercased field name -> { fieldName, value }
+    _parseNewRowDefaults(json) {
+        const defaults = {};
+        if (!json) return defaults;
+        try {
+            const parsed = JSON.parse(json);
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                Object.keys(parsed).forEach(fieldName => {
+                    defaults[fieldName.toLowerCase()] = { fieldName, value: parsed[fieldName] };
+                });
+            }
+        } catch (e) {
+            // Hand-edited invalid JSON: start without defaults
+        }
+        return defaults;
+    }
+
+    // Blank when every column is searchable, so columns added later are searched too
+    _dispatchSearchableFields() {
+        const searchable = this.columns.filter(c => c.searchable);
+        const searchableFields = searchable.length === this.columns.length
+            ? ''
+            : searchable.map(c => c.fieldApiName).join(',');
+        this._dispatchChange('searchableFields', searchableFields, 'String');
+    }
+
+    // Lowercased set of a comma-separated field list
+    _parseFieldList(text) {
+        if (!text) return new Set();
+        return new Set(text.split(',').map(f => f.trim().toLowerCase()).filter(f => f));
+    }
+
+    _dispatchColumnAggregates() {
+        const columnAggregates = this.columns
+            .filter(c => c.aggregate)
+            .map(c => `${c.fieldApiName}:${c.aggregate}`)
+            .join(',');
+        this._dispatchChange('columnAggregates', columnAggregates, 'String');
+    }
+
+    _parseColumnAggregates(text) {
+        const aggregates = {};
+        if (!text) return aggregates;
+        text.split(',').forEach(part => {
+            const [fieldName, fn] = part.split(':').map(p => (p || '').trim());
+            if (fieldName && fn) {
+                aggregates[fieldName.toLowerCase()] = fn.toUpperCase();
+            }
+        });
+        return aggregates;
+    }
+
+    _dispatchDefaultFilters() {
+        const filters = {};
+        this.columns.forEach(c => {
+            if (c.defaultFilter != null) {
+                filters[c.fieldApiName] = c.defaultFilter;
+            }
+        });
+        const json = Object.keys(filters).length > 0 ? JSON.stringify(filters) : '';
+        this._dispatchChange('defaultFilters', json, 'String');
+    }
+
+    _dispatchDefaultSort() {
+        const defaultSort = this.sortLevels
+            .filter(l => l.fieldName)
+            .map(l => [l.fieldName, l.direction, l.nulls ? `NULLS ${l.nulls}` : ''].filter(p => p).join(' '))
+            .join(', ');
+        this._dispatchChange('defaultSort', defaultSort, 'String');
+    }
+
+    _dispatchRowActions() {
+        // Blank names fall back to the label at runtime, so they're left out
+        const actions = this.rowActions
+            .filter(a => (a.label || '').trim() || (a.name || '').trim())
+            .map(a => {
+                const action = { label: a.label.trim() };
+                if (a.name.trim()) action.name = a.name.trim();
+                if (a.iconName.trim()) action.iconName = a.iconName.trim();
+                if (a.navigateNext) action.navigateNext = true;
+                return action;
+            });
+        const json = actions.length > 0 ? JSON.stringify(actions) : '';
+        this._dispatchChange('rowActions', json, 'String');
+    }
+
+    _parseRowActions(json) {
+        if (!json) return [];
+        try {
+            const parsed = JSON.parse(json);
+            if (!Array.isArray(parsed)) return [];
+            return parsed
+                .filter(a => a && typeof a === 'object')
+                .map(a => ({
+                    id: this._nextRowActionId++,
+                    label: a.label || '',
+                    name: a.name || '',
+                    iconName: a.iconName || '',
+                    navigateNext: a.navigateNext === true
+                }));
+        } catch (e) {
+            // Hand-edited invalid JSON: start without row actions
+            return [];
+        }
+    }
+
+    _dispatchFormattingRules() {
+        // Empty settings are left out to keep the JSON short
+        const rules = this.formattingRules
+            .filter(r => r.field && r.operator)
+            .map(r => {
+                const rule = { field: r.field, operator: r.operator };
+                if (r.value !== '' && r.value != null) rule.value = r.value;
+                if (r.operator === 'between' && r.value2 !== '' && r.value2 != null) rule.value2 = r.value2;
+                rule.target = r.target;
+                if (r.textColor) rule.textColor = r.textColor;
+                if (r.backgroundColor) rule.backgroundColor = r.backgroundColor;
+                if (r.bold) rule.bold = true;
+                if (r.iconName && r.iconName.trim()) rule.iconName = r.iconName.trim();
+                if (r.label) rule.label = r.label;
+                return rule;
+            });
+        const json = rules.length > 0 ? JSON.stringify(rules) : '';
+        this._dispatchChange('formattingRules', json, 'String');
+    }
+
+    _parseFormattingRules(json) {
+        if (!json) return [];
+        try {
+            const parsed = JSON.parse(json);
+            if (!Array.isArray(parsed)) return [];
+            return parsed
+                .filter(r => r && typeof r === 'object')
+                .map(r => ({
+                    id: this._nextRuleId++,
+                    field: r.field || '',
+                    operator: r.operator || 'equals',
+                    value: r.value != null ? String(r.value) : '',
+                    value2: r.value2 != null ? String(r.value2) : '',
+                    target: r.target === 'row' ? 'row' : 'cell',
+                    textColor: r.textColor || '',
+                    backgroundColor: r.backgroundColor || '',
+                    bold: r.bold === true,
+                    iconName: r.iconName || '',
+                    label: r.label || ''
+                }));
+        } catch (e) {
+            // Hand-edited invalid JSON: start without rules
+            return [];
+        }
+    }
+
+    _parseSortLevels(sortText) {
+        if (!sortText) return [];
+        return String(sortText)
+            .split(',')
+            .map(part => part.trim().split(/\s+/))
+            .filter(tokens => tokens[0])
+            .map(tokens => {
+                const modifiers = tokens.slice(1).map(t => t.toUpperCase());
+                let nulls = '';
+                if (modifiers.includes('NULLS')) {
+                    nulls = modifiers.includes('FIRST') ? 'FIRST' : 'LAST';
+                }
+                return {
+                    id: this._nextSortLevelId++,
+                    fieldName: tokens[0],
+                    direction: modifiers.includes('DESC') ? 'DESC' : 'ASC',
+                    nulls
+                };
+            });
+    }
+
+    _parseDefaultFilters(json) {
+        const filters = {};
+        if (!json) return filters;
+        try {
+            const parsed = JSON.parse(json);
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                Object.keys(parsed).forEach(fieldName => {
+                    filters[fieldName.toLowerCase()] = parsed[fieldName];
+                });
+            }
+        } catch (e) {
+            // Hand-edited invalid JSON: start without default filters
+        }
+        return filters;
+    }
+
+    // Matches the header filter each data type gets at runtime
+    _getFilterKind(dataType) {
+        if (dataType === 'PICKLIST' || dataType === 'MULTIPICKLIST') return 'values';
+        if (dataType === 'DATE' || dataType === 'DATETIME') return 'date';
+        if (['INTEGER', 'DOUBLE', 'CURRENCY', 'PERCENT'].includes(dataType)) return 'number';
+        if (dataType === 'BOOLEAN') return 'boolean';
+        return null;
     }
 
     _dispatchChange(name, newValue, newValueDataType) {